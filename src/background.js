@@ -0,0 +1,488 @@
+/**
+ * Local Smart Autocomplete - Background Service Worker
+ * Owns one shared set of on-device AI sessions (LanguageModel, Summarizer,
+ * LanguageDetector) and serves completion requests from every tab's content script.
+ * Also relays prompts to a local OpenAI-compatible or Ollama server when that backend is
+ * selected (extension fetches are not subject to the page's CORS or CSP).
+ *
+ * Protocol (all messages carry source: 'smart-autocomplete'):
+ * - runtime.sendMessage { type: 'init', sessionOptions, backend? } -> { ok, availability, summarizer, languageDetector, inputQuota?, inputUsage?, reason? }
+ *   backend is { type: 'http', url, model } for a local server; omitted for Chrome's models.
+ * - runtime.sendMessage { type: 'checkBackend', backend } -> same as init, without touching status (options page)
+ * - runtime.sendMessage { type: 'summarize', text, sessionOptions } -> { summary }
+ * - runtime.sendMessage { type: 'detect', text, sessionOptions } -> { results }
+ * - runtime.sendMessage { type: 'measure', text, sessionOptions } -> { tokens } (input tokens of text)
+ * - runtime.connect({ name: 'smart-autocomplete-prompt' }), then post
+ *   { type: 'prompt', prompt, options, streaming, field?, sessionOptions, backend? } and receive
+ *   { type: 'chunk', chunk }* followed by { type: 'done', result } or { type: 'error', error }.
+ *   Posting { type: 'cancel' } or disconnecting the port aborts the request.
+ *   field is { id, context, temperature? }: the prompt runs on that field's session
+ *   (src/field-sessions.js).
+ * - runtime.sendMessage { type: 'releaseField', fieldId } -> { ok } (the field lost focus)
+ * - runtime.sendMessage { type: 'status', status: { model?, siteEnabled?, error? } } -> { ok }
+ *   Content scripts report model/site state; it drives the toolbar badge and popup.
+ * - tabs.sendMessage (to the right-clicked frame) { type: 'contextMenu', command, snippet? }
+ *   command is 'complete', 'rewrite', 'toggleSite' or 'snippet' (snippet: its abbreviation).
+ * sessionOptions travel with each request so a restarted worker re-creates the same sessions.
+ */
+
+importScripts('field-sessions.js');
+
+const MESSAGE_SOURCE = 'smart-autocomplete';
+const PROMPT_PORT_NAME = 'smart-autocomplete-prompt';
+const HTTP_MAX_TOKENS = 512;
+const HTTP_CHECK_TIMEOUT_MS = 3000;
+
+// Context menu entries on editable fields -> content script command
+const MENU_COMPLETE = 'smart-autocomplete-complete';
+const MENU_REWRITE = 'smart-autocomplete-rewrite';
+const MENU_TOGGLE_SITE = 'smart-autocomplete-toggle-site';
+const MENU_COMMANDS = {
+  [MENU_COMPLETE]: 'complete',
+  [MENU_REWRITE]: 'rewrite',
+  [MENU_TOGGLE_SITE]: 'toggleSite'
+};
+const MENU_SNIPPETS = 'smart-autocomplete-snippets';
+const MENU_SNIPPET_PREFIX = 'smart-autocomplete-snippet:';
+
+const sessions = {
+  languageModel: null,
+  summarizer: null,
+  languageDetector: null
+};
+let sessionsPromise = null;
+let sessionOptionsInUse = {}; // what sessions.languageModel was created with
+
+// Per-field clones of the shared session, keyed "tabId:frameId:fieldId". A reset (the shared
+// session overflowed or failed) drops it; the next request re-creates it.
+const fieldSessions = new FieldSessionManager(async () => {
+  if (!sessions.languageModel) throw new Error('Language model not available in the background worker');
+  return sessions.languageModel;
+}, {
+  onReset: () => { sessions.languageModel = null; },
+  // Fields whose profile sets a temperature get a session of their own
+  createSession: (sampling) => LanguageModel.create({ ...sessionOptionsInUse, ...sampling })
+});
+
+function fieldKey(sender, fieldId) {
+  return `${sender?.tab?.id}:${sender?.frameId}:${fieldId}`;
+}
+
+function releaseTabFields(tabId) {
+  fieldSessions.releaseMatching(key => key.startsWith(`${tabId}:`));
+}
+
+// Model state shown in the popup, mirrored to chrome.storage.session as model_status
+let modelStatus = { state: 'unknown', progress: null, shared: false, lastError: null, updatedAt: 0 };
+const siteEnabledByTab = new Map();
+
+const BADGES = {
+  disabled: { text: 'OFF', color: '#888888' },
+  downloading: { text: '…', color: '#0066cc' },
+  ready: { text: 'ON', color: '#2e7d32' },
+  failed: { text: '!', color: '#cc0000' }
+};
+
+// The shared LanguageModel session, created again after a reset
+async function requireLanguageModel(sessionOptions) {
+  if (!sessions.languageModel) {
+    const status = await ensureSessions(sessionOptions);
+    if (!status.ok) throw new Error('Language model not available in the background worker');
+  }
+  return sessions.languageModel;
+}
+
+// Create the shared sessions once; only models already on device are used here
+// (downloads need a user gesture and stay in the tab).
+async function ensureSessions(sessionOptions) {
+  if (sessions.languageModel) return describeSessions('available');
+  if (sessionsPromise) return sessionsPromise;
+
+  sessionsPromise = (async () => {
+    if (!('LanguageModel' in self)) return { ok: false, availability: 'unsupported' };
+    const availability = await LanguageModel.availability();
+    if (availability !== 'available') return { ok: false, availability };
+
+    sessions.languageModel = await LanguageModel.create(sessionOptions || {});
+    sessionOptionsInUse = sessionOptions || {};
+
+    try {
+      // Kept when only the language model is re-created
+      if (!sessions.summarizer && 'Summarizer' in self && await Summarizer.availability() === 'available') {
+        sessions.summarizer = await Summarizer.create({ type: 'tldr', length: 'short' });
+      }
+    } catch (error) {
+      console.log('[SmartAutocomplete:bg] Summarizer not available:', error.message);
+    }
+
+    try {
+      if (!sessions.languageDetector && 'LanguageDetector' in self && await LanguageDetector.availability() === 'available') {
+        sessions.languageDetector = await LanguageDetector.create();
+      }
+    } catch (error) {
+      console.log('[SmartAutocomplete:bg] LanguageDetector not available:', error.message);
+    }
+
+    console.log('[SmartAutocomplete:bg] Shared sessions ready');
+    return describeSessions(availability);
+  })();
+
+  try {
+    return await sessionsPromise;
+  } finally {
+    sessionsPromise = null;
+  }
+}
+
+function describeSessions(availability) {
+  return {
+    ok: !!sessions.languageModel,
+    availability,
+    summarizer: !!sessions.summarizer,
+    languageDetector: !!sessions.languageDetector,
+    // Prompts run on clones of the base session, which start with its usage
+    inputQuota: sessions.languageModel?.inputQuota,
+    inputUsage: sessions.languageModel?.inputUsage
+  };
+}
+
+// Local servers only: completions must not leave the machine
+function isLoopbackUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === 'http:' || protocol === 'https:') &&
+      (hostname === 'localhost' || hostname === '[::1]' || /^127\.\d+\.\d+\.\d+$/.test(hostname));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Ollama's native chat endpoint; anything else is treated as OpenAI-compatible
+// (llama.cpp server, LM Studio, Ollama's /v1)
+function isOllamaNative(url) {
+  return /\/api\/chat\/?$/.test(new URL(url).pathname);
+}
+
+function httpModelsUrl(url) {
+  const u = new URL(url);
+  u.pathname = isOllamaNative(url) ? '/api/tags' : u.pathname.replace(/\/chat\/completions\/?$/, '/models');
+  return u.toString();
+}
+
+// Reachability check; also verifies the model name when the server lists its models
+async function checkHttpBackend(backend) {
+  const unavailable = (reason) => ({ ok: false, availability: 'unavailable', reason });
+  if (!isLoopbackUrl(backend?.url)) return unavailable('Only localhost endpoints are allowed');
+  if (!backend.model) return unavailable('No model name configured');
+  try {
+    const response = await fetch(httpModelsUrl(backend.url), { signal: AbortSignal.timeout(HTTP_CHECK_TIMEOUT_MS) });
+    if (!response.ok) return unavailable(`Local server returned ${response.status}`);
+    const listing = await response.json().catch(() => null);
+    const models = (listing?.data || listing?.models || []).map(m => m.id || m.name).filter(Boolean);
+    const known = models.some(name => name === backend.model || name.startsWith(backend.model + ':'));
+    if (models.length && !known) return unavailable(`Model "${backend.model}" not found (server has: ${models.slice(0, 5).join(', ')})`);
+    return { ok: true, availability: 'available', summarizer: false, languageDetector: false };
+  } catch (error) {
+    return unavailable('Local server not reachable: ' + error.message);
+  }
+}
+
+// Request body for either API flavour; the session's system prompt becomes chat messages
+function buildHttpRequest(message) {
+  const { backend, sessionOptions = {}, options = {} } = message;
+  const messages = (sessionOptions.initialPrompts || []).map(p => ({ role: p.role, content: p.content }));
+  // Servers keep no session: the field's context goes with every request
+  if (message.field?.context) messages.push({ role: 'system', content: message.field.context });
+  messages.push({ role: 'user', content: message.prompt });
+  const temperature = options.temperature ?? sessionOptions.temperature;
+  if (isOllamaNative(backend.url)) {
+    const body = { model: backend.model, messages, stream: !!message.streaming, options: { temperature, num_predict: HTTP_MAX_TOKENS } };
+    if (options.responseConstraint) body.format = options.responseConstraint;
+    return body;
+  }
+  const body = { model: backend.model, messages, stream: !!message.streaming, temperature, max_tokens: HTTP_MAX_TOKENS };
+  if (options.responseConstraint) {
+    body.response_format = { type: 'json_schema', json_schema: { name: 'completion', schema: options.responseConstraint } };
+  }
+  return body;
+}
+
+// One line of an SSE ("data: {...}") or NDJSON stream -> { text, done }, or null to skip
+function parseHttpStreamLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith(':') || trimmed.startsWith('event:')) return null;
+  const data = trimmed.startsWith('data:') ? trimmed.slice(5).trim() : trimmed;
+  if (data === '[DONE]') return { text: '', done: true };
+  const json = JSON.parse(data);
+  if (json.error) throw new Error(json.error.message || String(json.error));
+  return { text: json.choices?.[0]?.delta?.content ?? json.message?.content ?? '', done: json.done === true };
+}
+
+async function runHttpPrompt(port, message, signal) {
+  if (!isLoopbackUrl(message.backend?.url)) throw new Error('Only localhost endpoints are allowed');
+  const response = await fetch(message.backend.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildHttpRequest(message)),
+    signal
+  });
+  if (!response.ok) throw new Error(`Local server returned ${response.status} ${response.statusText}`.trim());
+
+  if (!message.streaming) {
+    const json = await response.json();
+    if (json.error) throw new Error(json.error.message || String(json.error));
+    const result = json.choices?.[0]?.message?.content ?? json.message?.content ?? '';
+    if (!signal.aborted) port.postMessage({ type: 'done', result });
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const emit = (line) => {
+    const parsed = parseHttpStreamLine(line);
+    if (parsed?.text) port.postMessage({ type: 'chunk', chunk: parsed.text });
+    return !!parsed?.done;
+  };
+  while (true) {
+    const { value, done } = await reader.read();
+    if (signal.aborted) return;
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    if (lines.some(emit)) {
+      reader.cancel().catch(() => {});
+      port.postMessage({ type: 'done' });
+      return;
+    }
+  }
+  emit(buffer);
+  port.postMessage({ type: 'done' });
+}
+
+function loadModelStatus() {
+  try {
+    chrome.storage.session.get(['model_status'], (data) => {
+      if (data?.model_status) modelStatus = { ...modelStatus, ...data.model_status };
+    });
+  } catch (e) {
+    // ignore
+  }
+}
+
+function updateStatus(status, sender) {
+  const now = Date.now();
+  if (status.model) {
+    const progress = status.model.state === 'downloading' ? (status.model.progress ?? modelStatus.progress) : null;
+    modelStatus = { ...modelStatus, ...status.model, progress, updatedAt: now };
+  }
+  if (status.error) modelStatus = { ...modelStatus, lastError: { message: status.error, at: now }, updatedAt: now };
+  const tabId = sender?.tab?.id;
+  if (tabId !== undefined && typeof status.siteEnabled === 'boolean') {
+    siteEnabledByTab.set(tabId, status.siteEnabled);
+    if (sender.tab.active) updateSiteMenu(tabId);
+  }
+
+  try {
+    chrome.storage.session.set({ model_status: modelStatus });
+  } catch (e) {
+    // ignore
+  }
+  if (status.model || status.error) {
+    siteEnabledByTab.forEach((_, id) => updateBadge(id));
+    updateBadge();
+  } else if (tabId !== undefined) {
+    updateBadge(tabId);
+  }
+}
+
+// Badge: OFF when the tab's site is disabled, otherwise the model state
+function updateBadge(tabId) {
+  let badge = null;
+  if (tabId !== undefined && siteEnabledByTab.get(tabId) === false) {
+    badge = BADGES.disabled;
+  } else if (modelStatus.state === 'downloading') {
+    badge = { ...BADGES.downloading, text: modelStatus.progress != null ? `${modelStatus.progress}%` : BADGES.downloading.text };
+  } else if (modelStatus.state === 'ready' || modelStatus.state === 'degraded') {
+    badge = BADGES.ready;
+  } else if (modelStatus.state === 'failed') {
+    badge = BADGES.failed;
+  }
+  const target = tabId !== undefined ? { tabId } : {};
+  try {
+    chrome.action.setBadgeText({ ...target, text: badge ? badge.text : '' });
+    if (badge) chrome.action.setBadgeBackgroundColor({ ...target, color: badge.color });
+  } catch (e) {
+    // tab may be gone
+  }
+}
+
+function serializeError(error) {
+  return { name: error?.name || 'Error', message: error?.message || String(error) };
+}
+
+async function handleMessage(message, sender) {
+  switch (message.type) {
+    case 'init': {
+      if (message.backend?.type === 'http') {
+        const status = await checkHttpBackend(message.backend);
+        if (status.ok) updateStatus({ model: { state: 'ready', shared: true, backend: 'http' } }, sender);
+        return status;
+      }
+      const status = await ensureSessions(message.sessionOptions);
+      if (status.ok) updateStatus({ model: { state: 'ready', shared: true, backend: 'chrome' } }, sender);
+      return status;
+    }
+    case 'checkBackend':
+      return checkHttpBackend(message.backend);
+    case 'status':
+      updateStatus(message.status || {}, sender);
+      return { ok: true };
+    case 'summarize':
+      // The worker may have been restarted since the tab connected
+      await ensureSessions(message.sessionOptions);
+      if (!sessions.summarizer) throw new Error('Summarizer not available');
+      return { summary: await sessions.summarizer.summarize(message.text) };
+    case 'detect':
+      await ensureSessions(message.sessionOptions);
+      if (!sessions.languageDetector) throw new Error('LanguageDetector not available');
+      return { results: await sessions.languageDetector.detect(message.text) };
+    case 'measure': {
+      const model = await requireLanguageModel(message.sessionOptions);
+      if (typeof model.measureInputUsage !== 'function') throw new Error('Token measurement not available');
+      return { tokens: await model.measureInputUsage(message.text) };
+    }
+    case 'releaseField':
+      fieldSessions.release(fieldKey(sender, message.fieldId));
+      return { ok: true };
+    default:
+      throw new Error('Unknown message type: ' + message.type);
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.source !== MESSAGE_SOURCE) return false;
+  handleMessage(message, sender).then(
+    (response) => sendResponse(response),
+    (error) => sendResponse({ error: serializeError(error) })
+  );
+  return true; // async response
+});
+
+// Each request runs on a clone of its field's session so tabs and fields never see each
+// other's history
+async function runPrompt(port, message, signal) {
+  try {
+    if (message.backend?.type === 'http') {
+      await runHttpPrompt(port, message, signal);
+      return;
+    }
+    await requireLanguageModel(message.sessionOptions);
+    const field = message.field ? { ...message.field, id: fieldKey(port.sender, message.field.id) } : null;
+    const options = { ...(message.options || {}), signal };
+
+    if (message.streaming) {
+      for await (const chunk of fieldSessions.stream(field, message.prompt, options)) {
+        if (signal.aborted) return;
+        port.postMessage({ type: 'chunk', chunk });
+      }
+      port.postMessage({ type: 'done' });
+    } else {
+      const result = await fieldSessions.run(field, signal, session => session.prompt(message.prompt, options));
+      if (!signal.aborted) port.postMessage({ type: 'done', result });
+    }
+  } catch (error) {
+    if (signal.aborted) return;
+    // The tab's field sessions are primed again; other tabs keep theirs
+    releaseTabFields(port.sender?.tab?.id);
+    try {
+      port.postMessage({ type: 'error', error: serializeError(error) });
+    } catch (_) {
+      // port already closed
+    }
+  }
+}
+
+// (Re)build the context menu; the snippet submenu lists the stored snippets
+function createContextMenus(snippets) {
+  const contexts = ['editable'];
+  const ignore = () => void chrome.runtime.lastError;
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: MENU_COMPLETE, title: 'Complete here', contexts }, ignore);
+    // Only with text selected; Chrome ORs contexts, so selections outside fields are
+    // filtered when clicked
+    chrome.contextMenus.create({ id: MENU_REWRITE, title: 'Rewrite selection…', contexts: ['selection'] }, ignore);
+    chrome.contextMenus.create({ id: MENU_SNIPPETS, title: 'Insert snippet…', contexts }, ignore);
+    const list = (Array.isArray(snippets) ? snippets : [])
+      .filter(s => s && typeof s.abbr === 'string' && s.abbr.trim() && typeof s.text === 'string');
+    if (!list.length) {
+      chrome.contextMenus.create({ id: MENU_SNIPPETS + ':none', parentId: MENU_SNIPPETS, title: 'No snippets yet (add them in Options)', enabled: false, contexts }, ignore);
+    }
+    const seen = new Set();
+    for (const snippet of list) {
+      const abbr = snippet.abbr.trim();
+      if (seen.has(abbr)) continue;
+      seen.add(abbr);
+      const preview = snippet.text.replace(/\s+/g, ' ').trim();
+      const title = `${abbr}  ${preview.length > 40 ? preview.slice(0, 40) + '…' : preview}`;
+      chrome.contextMenus.create({ id: MENU_SNIPPET_PREFIX + abbr, parentId: MENU_SNIPPETS, title, contexts }, ignore);
+    }
+    chrome.contextMenus.create({ id: MENU_TOGGLE_SITE, title: 'Disable on this site', contexts }, ignore);
+  });
+}
+
+// The site entry reads as the action it will take for the active tab
+function updateSiteMenu(tabId) {
+  const enabled = siteEnabledByTab.get(tabId) !== false;
+  chrome.contextMenus.update(MENU_TOGGLE_SITE, { title: enabled ? 'Disable on this site' : 'Enable on this site' }, () => {
+    void chrome.runtime.lastError; // menu not created yet
+  });
+}
+
+function loadContextMenus() {
+  chrome.storage.local.get(['snippets'], (data) => createContextMenus(data?.snippets));
+}
+
+chrome.runtime.onInstalled.addListener(loadContextMenus);
+chrome.runtime.onStartup.addListener(loadContextMenus);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.snippets) createContextMenus(changes.snippets.newValue);
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (tab?.id === undefined) return;
+  const id = String(info.menuItemId);
+  const message = { source: MESSAGE_SOURCE, type: 'contextMenu' };
+  if (id === MENU_REWRITE && !info.editable) return; // selected page text, not a field
+  if (MENU_COMMANDS[id]) {
+    message.command = MENU_COMMANDS[id];
+  } else if (id.startsWith(MENU_SNIPPET_PREFIX)) {
+    message.command = 'snippet';
+    message.snippet = id.slice(MENU_SNIPPET_PREFIX.length);
+  } else {
+    return;
+  }
+  chrome.tabs.sendMessage(tab.id, message, { frameId: info.frameId ?? 0 }, () => {
+    void chrome.runtime.lastError; // no content script in that frame (e.g. chrome:// pages)
+  });
+});
+
+chrome.tabs.onActivated.addListener(({ tabId }) => updateSiteMenu(tabId));
+chrome.tabs.onRemoved.addListener((tabId) => {
+  siteEnabledByTab.delete(tabId);
+  releaseTabFields(tabId);
+});
+
+loadModelStatus();
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== PROMPT_PORT_NAME) return;
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+  port.onMessage.addListener((message) => {
+    if (message?.type === 'cancel') controller.abort();
+    if (message?.type === 'prompt') runPrompt(port, message, controller.signal);
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Local Smart Autocomplete - Completion Cache
+ * Least-recently-used map for completions, keyed by a hash of site, profile and the
+ * text around the caret. In memory only. Loaded before content.js.
+ */
+
+class LRUCache {
+  constructor(capacity = 50) {
+    this.capacity = capacity;
+    this.map = new Map();
+  }
+  get(key) {
+    if (!this.map.has(key)) return null;
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+  set(key, value) {
+    if (this.map.has(key)) this.map.delete(key);
+    this.map.set(key, value);
+    if (this.map.size > this.capacity) {
+      const oldestKey = this.map.keys().next().value;
+      this.map.delete(oldestKey);
+    }
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { LRUCache };
+}
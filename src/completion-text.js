@@ -0,0 +1,251 @@
+/**
+ * Local Smart Autocomplete - Completion Text
+ * Turns raw model output into the text to insert: strips cursor markers, removes what
+ * repeats the text around the caret, caps sentences, fits fill-in-the-middle and short
+ * completions to their neighbours, and diffs rewrites. Pure string functions, loaded
+ * before content.js.
+ */
+
+function stripCursorArtifacts(text) {
+  if (!text) return text;
+  // Remove full marker and common partials that can appear mid-stream
+  return text
+    .replace(/\[CURSOR\]/gi, '')
+    .replace(/\[CURS/gi, '')
+    .replace(/CURSOR\]/gi, '')
+    .replace(/\[CUR?$/i, '') // a marker cut off at the end of a chunk; never inside words
+    .trim();
+}
+
+// Remove overlap between the end of beforeCursor and the start of completion,
+// matching case-insensitively and ignoring punctuation/extra spaces.
+function removeContextOverlap(beforeCursor, completion) {
+  const maxWindowChars = 120;
+  const before = (beforeCursor || '').slice(-maxWindowChars);
+  const comp = completion || '';
+
+  const lowerBefore = before.toLowerCase();
+  const lowerComp = comp.toLowerCase();
+
+  // 1) Direct longest suffix/prefix match (case-insensitive)
+  let directOverlap = 0;
+  const maxLen = Math.min(lowerBefore.length, lowerComp.length);
+  for (let i = maxLen; i > 0; i--) {
+    if (lowerBefore.slice(-i) === lowerComp.slice(0, i)) { directOverlap = i; break; }
+  }
+
+  // 2) Normalized (strip punctuation and condense spaces) longest match
+  const norm = (s) => s
+    .toLowerCase()
+    .replace(/[\s]+/g, ' ')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/[\,\.;:!\?\-\(\)\[\]\{\}\"\']/g, '')
+    .trim();
+  const normBefore = norm(before);
+  const normComp = norm(comp);
+  let normOverlap = 0;
+  const maxNorm = Math.min(normBefore.length, normComp.length);
+  for (let i = maxNorm; i > 0; i--) {
+    if (normBefore.slice(-i) === normComp.slice(0, i)) { normOverlap = i; break; }
+  }
+
+  // If normalized overlap is larger than direct, compute raw slice index by walking original completion
+  let sliceIndex = directOverlap;
+  if (normOverlap > directOverlap) {
+    let built = '';
+    let idx = 0;
+    while (idx < comp.length && norm(built).length < normOverlap) {
+      built += comp[idx];
+      idx++;
+    }
+    sliceIndex = Math.max(sliceIndex, idx);
+  }
+
+  if (sliceIndex > 0) {
+    let out = comp.slice(sliceIndex).trimStart();
+    // Also remove leading punctuation leftovers
+    out = out.replace(/^[,;:.!?]+\s*/, '');
+    return out;
+  }
+  return comp;
+}
+
+function cleanCompletionText(completion, contextData) {
+  if (!completion || !contextData) return completion;
+  
+  // Remove any accidental echo (even partial) of the cursor marker from the model
+  completion = stripCursorArtifacts(completion);
+
+  const beforeCursor = contextData.beforeCursor || '';
+  
+  // Robust overlap removal (case-insensitive, ignores punctuation/spacing)
+  completion = removeContextOverlap(beforeCursor, completion);
+  
+  // Also check for full sentence repetition patterns
+  const lastSentence = beforeCursor.match(/[^.!?]*$/)?.[0]?.trim();
+  if (lastSentence && completion.toLowerCase().startsWith(lastSentence.toLowerCase())) {
+    completion = completion.slice(lastSentence.length).trim();
+  }
+  
+  // Remove leading punctuation that might be duplicated
+  completion = completion.replace(/^[,;:.!?]+\s*/, '');
+  
+  if (contextData.infill) completion = removeSuffixOverlap(completion, contextData.afterCursor);
+  
+  return completion;
+}
+
+function limitToSentenceRange(text, minSentences, maxSentences) {
+  if (!text) return text;
+  const tokens = text.split(/([\.\!\?](?:\s|$))/);
+  let sentences = [];
+  for (let i = 0; i < tokens.length; i += 2) {
+    const seg = (tokens[i] || '').trim();
+    const end = tokens[i + 1] || '';
+    if (!seg) continue;
+    sentences.push(seg + end.trimEnd());
+    if (sentences.length >= maxSentences) break;
+  }
+  return sentences.join(' ').trim();
+}
+
+// Words (lowercased) with their offsets, for comparing text regardless of punctuation
+function wordsOf(text) {
+  return Array.from((text || '').matchAll(/[\p{L}\p{N}'’]+/gu), m => ({ word: m[0].toLowerCase(), index: m.index }));
+}
+
+// Where the completion starts writing the text after the caret (its first two words), or -1
+function findSuffixStart(completion, afterCursor) {
+  const suffix = wordsOf((afterCursor || '').split('\n')[0]).slice(0, 2);
+  if (suffix.length < 2) return -1;
+  const words = wordsOf(completion);
+  for (let i = 0; i + 1 < words.length; i++) {
+    if (words[i].word === suffix[0].word && words[i + 1].word === suffix[1].word) return words[i].index;
+  }
+  return -1;
+}
+
+// Drop what the completion repeats of the text after the caret: everything from where it
+// runs into the suffix, or trailing words that duplicate the suffix's first words
+function removeSuffixOverlap(completion, afterCursor) {
+  const runIn = findSuffixStart(completion, afterCursor);
+  if (runIn >= 0) return completion.slice(0, runIn);
+  const words = wordsOf(completion);
+  const suffix = wordsOf((afterCursor || '').split('\n')[0]).slice(0, 8);
+  for (let n = Math.min(words.length, suffix.length); n > 0; n--) {
+    const tail = words.slice(-n);
+    if (tail.every((w, k) => w.word === suffix[k].word)) return completion.slice(0, tail[0].index);
+  }
+  return completion;
+}
+
+// Fit the bridge between its neighbours: a space next to adjacent words, and no closing
+// punctuation of its own when the text after the caret starts with punctuation
+function joinInfill(bridge, contextData) {
+  const before = contextData.beforeCursor || '';
+  const after = contextData.afterCursor || '';
+  let text = (bridge || '').trim();
+  if (/^\s*[,.;:!?)\]]/.test(after)) text = text.replace(/[\s,.;:!?]+$/, '');
+  if (!text) return '';
+  const isWordChar = (ch) => /[\p{L}\p{N}]/u.test(ch || '');
+  if (isWordChar(before.slice(-1)) && isWordChar(text.charAt(0))) text = ' ' + text;
+  if (isWordChar(after.charAt(0)) && isWordChar(text.slice(-1))) text += ' ';
+  return text;
+}
+
+// The model repeats the word being typed; keep only what goes after the caret: the rest
+// of that word, or a space and the next words, at most maxWords of them
+function finishShortCompletion(response, beforeCursor, maxWords) {
+  const text = stripCursorArtifacts(response.split('\n')[0] || '')
+    .replace(/^["'“”]+|["'“”]+$/g, '')
+    .trim();
+  if (!text) return '';
+  const before = String(beforeCursor || '');
+  const partial = (before.match(/[\p{L}\p{N}'’-]+$/u) || [''])[0];
+  let rest;
+  if (partial && text.toLowerCase().startsWith(partial.toLowerCase())) {
+    rest = text.slice(partial.length);
+  } else {
+    rest = (before && !/\s$/.test(before) ? ' ' : '') + text;
+  }
+  const limited = (rest.match(new RegExp(`^\\S*(\\s+\\S+){0,${maxWords}}`)) || [''])[0];
+  return limited.replace(/[.!?;,]+$/, '').trimEnd();
+}
+
+// Leading whitespace plus the next word (including attached punctuation)
+function nextWordChunk(text) {
+  const match = (text || '').match(/^\s*\S+/);
+  return match ? match[0] : (text || '');
+}
+
+// Everything up to and including the next sentence terminator
+function nextSentenceChunk(text) {
+  const match = (text || '').match(/^[\s\S]*?[.!?]+["')\]]*(?=\s|$)/);
+  return match ? match[0] : (text || '');
+}
+
+// Model output without wrapping, with the selection's own leading/trailing whitespace
+function cleanRewriteText(text, original) {
+  let core = text.trim().replace(/^<<<\s*/, '').replace(/\s*>>>$/, '').trim();
+  if (/^["“][\s\S]*["”]$/.test(core) && !/^["“]/.test(original.trim())) core = core.slice(1, -1).trim();
+  if (!core) return '';
+  return original.match(/^\s*/)[0] + core + original.match(/\s*$/)[0];
+}
+
+// Word-level diff for the rewrite preview: [{ type: 'same' | 'del' | 'ins', text }]
+function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  // Very long selections skip the LCS table and show old and new text whole
+  if (a.length * b.length > 250000) {
+    push('del', before);
+    push('ins', after);
+    return parts;
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('del', a[i++]);
+    } else {
+      push('ins', b[j++]);
+    }
+  }
+  while (i < a.length) push('del', a[i++]);
+  while (j < b.length) push('ins', b[j++]);
+  return parts;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    stripCursorArtifacts,
+    removeContextOverlap,
+    cleanCompletionText,
+    limitToSentenceRange,
+    wordsOf,
+    findSuffixStart,
+    removeSuffixOverlap,
+    joinInfill,
+    finishShortCompletion,
+    nextWordChunk,
+    nextSentenceChunk,
+    cleanRewriteText,
+    diffWords
+  };
+}
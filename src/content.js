@@ -1,53 +1,421 @@
 /**
  * Local Smart Autocomplete - Content Script
- * Implements keyboard shortcut listener, ghost text rendering, and model download logic
+ * Implements keyboard shortcut listener, ghost text rendering, and model download logic.
+ * Pure helpers live in prompts.js, completion-text.js, insertion.js, shortcuts.js and
+ * cache.js; main.js creates the instance.
  */
 
-class LRUCache {
-  constructor(capacity = 50) {
-    this.capacity = capacity;
-    this.map = new Map();
+/**
+ * Opt-in personal phrase memory: accepted completions and sentences the user
+ * typed, keyed by site and language, persisted in chrome.storage.local.
+ * Records are batched and merged into storage so several tabs can write.
+ */
+class PhraseMemory {
+  constructor(limit = 500) {
+    this.enabled = false;
+    this.limit = limit;
+    this.entries = []; // { site, language, text, count, ts }
+    this.pending = [];
+    this._flushTimer = null;
+  }
+  load() {
+    try {
+      if (!chrome?.storage?.local) return;
+      chrome.storage.local.get(['phrase_memory'], (data) => {
+        this.setStored(data?.phrase_memory);
+      });
+    } catch (e) {
+      // ignore
+    }
+  }
+  // Adopt the stored entries (e.g. after a wipe from the options page), keeping unsaved records
+  setStored(stored) {
+    const entries = Array.isArray(stored?.entries) ? stored.entries.filter(e => e && typeof e.text === 'string') : [];
+    this.pending.forEach(rec => this.applyRecord(entries, rec));
+    this.entries = entries;
+  }
+  record(site, language, text) {
+    if (!this.enabled) return;
+    const phrase = String(text || '').replace(/\s+/g, ' ').trim().slice(0, 300);
+    if (phrase.split(' ').length < 3) return;
+    const rec = { site, language, text: phrase, ts: Date.now() };
+    this.applyRecord(this.entries, rec);
+    this.pending.push(rec);
+    clearTimeout(this._flushTimer);
+    this._flushTimer = setTimeout(() => this.flush(), 1000);
+  }
+  applyRecord(entries, rec) {
+    const lower = rec.text.toLowerCase();
+    const existing = entries.find(e => e.site === rec.site && e.language === rec.language && e.text.toLowerCase() === lower);
+    if (existing) {
+      existing.count = (existing.count || 1) + 1;
+      existing.ts = rec.ts;
+    } else {
+      entries.push({ ...rec, count: 1 });
+    }
+  }
+  flush() {
+    const pending = this.pending;
+    this.pending = [];
+    this._flushTimer = null;
+    if (!pending.length) return;
+    try {
+      chrome.storage.local.get(['phrase_memory'], (data) => {
+        const stored = Array.isArray(data?.phrase_memory?.entries) ? data.phrase_memory.entries : [];
+        pending.forEach(rec => this.applyRecord(stored, rec));
+        // Retention: keep the most recently used entries
+        stored.sort((a, b) => b.ts - a.ts);
+        this.entries = stored.slice(0, this.limit);
+        chrome.storage.local.set({ phrase_memory: { version: 1, entries: this.entries } });
+      });
+    } catch (e) {
+      console.log('[SmartAutocomplete] Failed to save phrase memory:', e.message);
+    }
+  }
+  // Continuation of a remembered phrase that starts with the last words before the cursor
+  findContinuation(site, language, beforeText) {
+    if (!this.enabled || !this.entries.length) return null;
+    const raw = String(beforeText || '');
+    const endsWithSpace = /\s$/.test(raw);
+    const words = raw.replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+    const pool = this.entries.filter(e => e.site === site && e.language === language);
+    for (let n = Math.min(4, words.length); n >= 2; n--) {
+      const prefix = words.slice(-n).join(' ').toLowerCase();
+      if (prefix.length < 6) continue;
+      let best = null;
+      let bestRest = '';
+      for (const entry of pool) {
+        const lower = entry.text.toLowerCase();
+        let idx = lower.startsWith(prefix) ? 0 : lower.indexOf(' ' + prefix);
+        if (idx < 0) continue;
+        if (idx > 0) idx += 1;
+        const rest = entry.text.slice(idx + prefix.length);
+        if (rest.trim().length < 2) continue;
+        // After a space only whole following words make sense
+        if (endsWithSpace && /^[\p{L}\p{N}]/u.test(rest)) continue;
+        if (!best || entry.count > best.count || (entry.count === best.count && entry.ts > best.ts)) {
+          best = entry;
+          bestRest = rest;
+        }
+      }
+      if (best) return endsWithSpace ? bestRest.trimStart() : bestRest;
+    }
+    return null;
+  }
+  // Most used phrases for few-shot style examples
+  examples(site, language, limit = 3) {
+    if (!this.enabled) return [];
+    return this.entries
+      .filter(e => e.site === site && e.language === language)
+      .sort((a, b) => (b.count - a.count) || (b.ts - a.ts))
+      .slice(0, limit)
+      .map(e => e.text);
+  }
+}
+
+/**
+ * Word-level predictor for single-line inputs: unigram, bigram and trigram counts
+ * from the page text and accepted suggestions. In memory only; answers instantly
+ * while the model call for a short completion is pending.
+ */
+class NGramPredictor {
+  constructor(limit = 20000) {
+    this.limit = limit; // max distinct words and contexts
+    this.words = new Map(); // word -> count
+    this.followers = new Map(); // 'w1' or 'w1 w2' -> Map(next word -> count)
+  }
+  static tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+  }
+  train(text) {
+    const words = NGramPredictor.tokenize(text);
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      if (this.words.has(word) || this.words.size < this.limit) this.words.set(word, (this.words.get(word) || 0) + 1);
+      if (i >= 1) this.count(words[i - 1], word);
+      if (i >= 2) this.count(words[i - 2] + ' ' + words[i - 1], word);
+    }
+  }
+  count(context, word) {
+    let next = this.followers.get(context);
+    if (!next) {
+      if (this.followers.size >= this.limit) return;
+      next = new Map();
+      this.followers.set(context, next);
+    }
+    next.set(word, (next.get(word) || 0) + 1);
   }
-  get(key) {
-    if (!this.map.has(key)) return null;
-    const value = this.map.get(key);
-    this.map.delete(key);
-    this.map.set(key, value);
-    return value;
+  // Best word after the previous words, starting with prefix. Without a prefix only words
+  // seen after this context more than once (or after both previous words) qualify.
+  nextWord(previous, prefix = '') {
+    const scores = new Map();
+    const add = (counts, weight) => counts && counts.forEach((n, word) => {
+      if (word.length > prefix.length && word.startsWith(prefix)) scores.set(word, (scores.get(word) || 0) + n * weight);
+    });
+    if (previous.length >= 2) add(this.followers.get(previous.slice(-2).join(' ')), 100);
+    if (previous.length >= 1) add(this.followers.get(previous[previous.length - 1]), 10);
+    if (prefix.length >= 2) add(this.words, 1);
+    let best = null;
+    let bestScore = prefix ? 0 : 19;
+    scores.forEach((score, word) => {
+      if (score > bestScore) {
+        best = word;
+        bestScore = score;
+      }
+    });
+    return best;
   }
-  set(key, value) {
-    if (this.map.has(key)) this.map.delete(key);
-    this.map.set(key, value);
-    if (this.map.size > this.capacity) {
-      const oldestKey = this.map.keys().next().value;
-      this.map.delete(oldestKey);
+  // Text to insert after beforeText: the rest of the word being typed and/or up to maxWords
+  // following words, each with its leading space. Empty when nothing is likely enough.
+  predict(beforeText, maxWords = 2) {
+    const before = String(beforeText || '');
+    if (!before.trim()) return '';
+    const previous = NGramPredictor.tokenize(before.slice(-200));
+    const partial = /[\p{L}\p{N}'’-]$/u.test(before) ? previous.pop() || '' : '';
+    let out = '';
+    if (partial) {
+      // No longer word: the typed one may already be complete
+      const word = this.nextWord(previous, partial) || (this.words.has(partial) ? partial : null);
+      if (!word) return '';
+      out = word.slice(partial.length);
+      previous.push(word);
+    }
+    for (let i = 0; i < maxWords; i++) {
+      const word = this.nextWord(previous);
+      if (!word) break;
+      out += (out || !/\s$/.test(before) ? ' ' : '') + word;
+      previous.push(word);
     }
+    return out;
   }
 }
 
+/**
+ * Client for the background service worker, which owns one shared set of model
+ * sessions for all tabs. Exposes LanguageModel/Summarizer/LanguageDetector-shaped
+ * facades so the rest of the content script doesn't care where the model runs.
+ */
+class BackgroundModelClient {
+  constructor(status, sessionOptions, backend = null, getField = () => null) {
+    this.status = status;
+    // Sent with every request so a restarted worker can re-create identical sessions
+    this.sessionOptions = sessionOptions;
+    // { type: 'http', url, model } for a local server; null for Chrome's models
+    this.backend = backend;
+    // Field each prompt is for ({ id, context }), so the worker runs it on that field's session
+    this.getField = getField;
+  }
+  // Returns a client when the worker has a ready model, otherwise null (use per-tab sessions);
+  // the reason is kept in BackgroundModelClient.lastError
+  static async connect(sessionOptions, backend = null, getField = () => null) {
+    BackgroundModelClient.lastError = null;
+    try {
+      if (!chrome?.runtime?.id) return null;
+      const status = await BackgroundModelClient.send({ type: 'init', sessionOptions, backend });
+      if (status && status.ok) return new BackgroundModelClient(status, sessionOptions, backend, getField);
+      BackgroundModelClient.lastError = status?.reason || null;
+      return null;
+    } catch (e) {
+      console.log('[SmartAutocomplete] Background worker unavailable:', e.message);
+      BackgroundModelClient.lastError = e.message;
+      return null;
+    }
+  }
+  static send(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ source: 'smart-autocomplete', ...message }, (response) => {
+        if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
+        if (response?.error) return reject(BackgroundModelClient.toError(response.error));
+        resolve(response);
+      });
+    });
+  }
+  static toError(error) {
+    if (error?.name === 'AbortError') return new DOMException(error.message || 'Aborted', 'AbortError');
+    const e = new Error(error?.message || 'Background request failed');
+    e.name = error?.name || 'Error';
+    return e;
+  }
+  // Stream { type: 'chunk' } messages from a prompt port; aborting or breaking out disconnects it
+  async *streamPrompt(prompt, options = {}, streaming = true) {
+    const { signal, ...promptOptions } = options;
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+    const port = chrome.runtime.connect({ name: 'smart-autocomplete-prompt' });
+    const queue = [];
+    let done = false;
+    let result;
+    let error = null;
+    let wake = null;
+    const notify = () => { if (wake) { wake(); wake = null; } };
+    port.onMessage.addListener((message) => {
+      if (message.type === 'chunk') queue.push(message.chunk);
+      else if (message.type === 'done') { done = true; result = message.result; }
+      else if (message.type === 'error') error = BackgroundModelClient.toError(message.error);
+      notify();
+    });
+    port.onDisconnect.addListener(() => {
+      if (!done && !error) error = new Error('Background worker disconnected');
+      notify();
+    });
+    const onAbort = () => {
+      error = new DOMException('Aborted', 'AbortError');
+      notify();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    port.postMessage({ type: 'prompt', prompt, options: promptOptions, streaming, field: this.getField(), sessionOptions: this.sessionOptions, backend: this.backend });
+    try {
+      while (true) {
+        if (error) throw error;
+        if (queue.length) {
+          yield queue.shift();
+          continue;
+        }
+        if (done) return result;
+        await new Promise((resolve) => { wake = resolve; });
+      }
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      try { port.disconnect(); } catch (_) { /* already closed */ }
+    }
+  }
+  get languageModel() {
+    const model = {
+      prompt: async (prompt, options) => {
+        const iterator = this.streamPrompt(prompt, options, false);
+        let step = await iterator.next();
+        while (!step.done) step = await iterator.next();
+        return step.value;
+      },
+      promptStreaming: (prompt, options) => ({
+        [Symbol.asyncIterator]: () => this.streamPrompt(prompt, options, true)
+      }),
+      releaseField: (id) => BackgroundModelClient.send({ type: 'releaseField', fieldId: id }).catch(() => {})
+    };
+    // Chrome's models report their quota; a local server's is unknown (estimated instead)
+    if (Number.isFinite(this.status.inputQuota)) {
+      model.inputQuota = this.status.inputQuota;
+      model.inputUsage = this.status.inputUsage || 0;
+      model.measureInputUsage = async (text) => (await BackgroundModelClient.send({ type: 'measure', text, sessionOptions: this.sessionOptions })).tokens;
+    }
+    return model;
+  }
+  get summarizer() {
+    if (!this.status.summarizer) return null;
+    return {
+      summarize: async (text) => (await BackgroundModelClient.send({ type: 'summarize', text, sessionOptions: this.sessionOptions })).summary
+    };
+  }
+  get languageDetector() {
+    if (!this.status.languageDetector) return null;
+    return {
+      detect: async (text) => (await BackgroundModelClient.send({ type: 'detect', text, sessionOptions: this.sessionOptions })).results
+    };
+  }
+}
+
+// Completion backends, tried in the configured order: Chrome's on-device models, or a
+// local OpenAI-compatible / Ollama server (e.g. llama.cpp) reached via the background worker
+const BACKEND_TYPES = ['chrome', 'http'];
+const DEFAULT_HTTP_BACKEND = { url: 'http://localhost:11434/v1/chat/completions', model: 'llama3.2' };
+
+// Short-completion mode for single-line inputs (search, url, email, text)
+const SHORT_MODE_MAX_WORDS = 3; // words after the one being typed
+const SHORT_MODE_TIMEOUT_MS = 1500; // model budget; past it the local prediction stands
+const SHORT_MODE_DELAY_MS = 150; // as-you-type pause
+const SHORT_MODE_MIN_CHARS = 2;
+
+// Host the tab is showing. Subframes (including about:blank/srcdoc editor frames, whose own
+// hostname is empty) use the top-level origin, so site toggles and overrides apply tab-wide
+// and match the host the toolbar popup shows.
+function getSiteHostname() {
+  if (window === window.top) return location.hostname;
+  try {
+    const origins = location.ancestorOrigins;
+    if (origins && origins.length) return new URL(origins[origins.length - 1]).hostname;
+  } catch (e) {
+    // ignore
+  }
+  return location.hostname;
+}
+
+// autocomplete="" tokens that mark a field as holding credentials, payment or one-time data
+const SENSITIVE_AUTOCOMPLETE_PATTERN = /^(cc-.+|current-password|new-password|one-time-code|transaction-amount)$/;
+
+// Identifier/label words that indicate secrets or identity/payment data (matched as whole tokens)
+const SENSITIVE_FIELD_TOKENS = new Set([
+  'password', 'passwd', 'pwd', 'passcode', 'passphrase', 'pin', 'secret',
+  'ssn', 'sin', 'cvv', 'cvv2', 'cvc', 'csc', 'iban', 'bic', 'swift',
+  'otp', 'totp', 'mfa', '2fa', 'creditcard', 'cardnumber', 'ccnumber'
+]);
+
+// Multi-word phrases checked against the normalized identifier/label text
+const SENSITIVE_FIELD_PHRASES = /\b(card (number|no)|credit card|security code|verification code|one time (code|password)|social security|account (number|no)|routing number|sort code|tax id|api key|access token)\b/;
+
 class SmartAutocomplete {
   constructor() {
-    this.isModelReady = false;
-    this.isDownloading = false;
+    this.lifecycle = new ModelLifecycle(); // Model state that the rest subscribes to (src/model-lifecycle.js)
+    this.backendOrder = ['chrome'];
+    this.httpBackend = { ...DEFAULT_HTTP_BACKEND };
+    this.activeBackend = null; // Backend behind languageModel once ready: 'chrome' or 'http'
+    this._downloadGestureListener = null; // Starts a download on the next click or key press
     this.activeElement = null;
     this.ghostTextElement = null;
+    this.ghostContentElement = null; // Child of the ghost element that holds the suggestion text
+    this.displayMode = 'inline'; // 'inline' (in-flow at the caret) or 'popup' (floating box)
     this.currentCompletion = null; // Store the actual completion text separately
-    this.savedCursorPosition = null; // Store cursor position when completion starts
+    this.candidates = []; // Alternative completions for the current trigger
+    this.candidateIndex = 0;
+    this.candidateCount = 3;
+    // Selection to replace when a completion or rewrite starts (collapsed at the caret for
+    // completions): { start, end } in textarea/input, { container, offset, endContainer?,
+    // endOffset? } in contenteditable (no end: collapsed)
+    this.savedCursorPosition = null;
     this.languageModel = null;
     this.summarizer = null;
     this.languageDetector = null;
     this.abortController = null;
     this.cache = new LRUCache(60);
+    this.contextBudgeter = new ContextBudgeter(); // Fits prompt parts into the model's quota (src/context-budget.js)
+    this.summaries = new SummaryPipeline(() => this.summarizer); // Earlier text of long fields, summarized when idle (src/summaries.js)
+    this.lastContextBudget = null; // Allocation of the most recent prompt, for debugging
+    this.fieldIds = new WeakMap(); // element -> id of its model session (src/field-sessions.js)
+    this.fieldCount = 0;
+    this.phraseMemory = new PhraseMemory();
+    this.metrics = new MetricsRecorder(); // Counts-only usage statistics (src/metrics.js)
+    this._requestTrigger = 'manual'; // Trigger source of the current request, for metrics
+    this._shownSuggestion = null; // { trigger } while a shown suggestion awaits accept/dismiss/overwrite
+    this.ngrams = new NGramPredictor(); // Instant word predictions for single-line inputs
+    this._ngramsTrained = false;
+    this._lastLanguage = 'en'; // Most recently detected language, used to key phrase memory
+    this.siteHost = getSiteHostname();
     this.siteEnabled = true;
     this.triggers = { ctrlEnter: false, doubleSpace: false, autoAfterPunctuation: false };
-    this.disableToggleShortcut = 'Ctrl+Shift+S';
+    this.keyBindings = { ...DEFAULT_KEY_BINDINGS }; // Effective bindings for this site
+    this._lastAccept = null; // { element, text, before, replaced } of the latest accepted suggestion
+    this.paletteElement = null; // Rewrite command palette while it is open
+    this._palette = null; // { query, index, items } of the open palette
+    this._rewrite = null; // { original } selected text behind the rewrite palette/preview
+    this._keydownTimes = new Map(); // event.code -> when its last keydown reached us
+    this._keyListenerTargets = new WeakSet();
+    this.editor = null; // Adapter for a framework editor around activeElement (src/editors.js)
+    this._swallowedShortcuts = new Set(); // Actions already reported as intercepted by the page
+    this.excludedSelectors = []; // User-defined CSS selectors that are never completed
+    this.snippets = []; // [{ abbr: ';sig', text: 'Best,\n{cursor}' }] expanded on trigger
+    this.profiles = DEFAULT_PROFILES.map(normalizeProfile); // Site-aware presets (src/profiles.js)
+    this._profileMemo = null;
+    this.autoSuggest = { enabled: false, delayMs: 400, minChars: 20 }; // As-you-type mode
+    this.siteAutoSuggest = null; // Per-site override of autoSuggest.enabled (null = use global)
+    this._autoSuggestTimer = null;
+    this._autoRequest = false; // Current request came from as-you-type: stay quiet on status/errors
+    this._requestBeforeCaret = null; // Text before the caret when the current request started
+    this._infillContext = null; // { before, after } words around the gap when filling in mid-text
     this._lastSpaceTimeMs = 0;
     this._punctuationTimer = null;
     this._websiteContextCache = { value: null, ts: 0 };
     this.minSentences = 1;
     this.maxSentences = 3;
     this.minTriggerIntervalMs = 350;
-    this._lastTriggerTs = 0;
+    this._lastTriggerTs = -Infinity; // performance.now() starts near 0 in a new frame
     this._lastStreamUpdateMs = 0;
     
     this.init();
@@ -55,10 +423,16 @@ class SmartAutocomplete {
 
   init() {
     console.log('[SmartAutocomplete] Initializing...');
+    this.setupModelLifecycle();
     this.setupKeyboardListener();
     this.setupFocusTracking();
+    this.setupPhraseRecording();
+    this.setupBackgroundSummaries();
     this.loadSitePreference();
     this.loadSettings();
+    this.phraseMemory.load();
+    this.loadSnippets();
+    this.loadProfiles();
     try {
       if (chrome?.storage?.onChanged) {
         chrome.storage.onChanged.addListener((changes, area) => {
@@ -66,6 +440,24 @@ class SmartAutocomplete {
             const newSettings = changes.settings.newValue || {};
             this.updateSettingsFromObject(newSettings);
           }
+          if (area === 'local' && (changes.site_prefs || changes.site_autosuggest)) {
+            this.loadSitePreference();
+          }
+          if (area === 'local' && changes.snippets) {
+            this.setSnippets(changes.snippets.newValue);
+          }
+          if (area === 'local' && changes.profiles) {
+            this.setProfiles(changes.profiles.newValue);
+          }
+          if (area === 'local' && changes.phrase_memory) {
+            this.phraseMemory.setStored(changes.phrase_memory.newValue);
+          }
+        });
+      }
+      // Context menu clicks, forwarded by the background worker to the right-clicked frame
+      if (chrome?.runtime?.onMessage) {
+        chrome.runtime.onMessage.addListener((message) => {
+          if (message?.source === 'smart-autocomplete' && message.type === 'contextMenu') this.handleContextMenu(message);
         });
       }
     } catch (e) {
@@ -73,87 +465,433 @@ class SmartAutocomplete {
     }
   }
 
+  // The right-click focused the field, so these act on activeElement like their shortcuts
+  handleContextMenu({ command, snippet }) {
+    console.log('[SmartAutocomplete] Context menu:', command);
+    if (command === 'complete') {
+      this.handleTrigger({ source: 'contextMenu' });
+    } else if (command === 'rewrite') {
+      this.openRewritePalette();
+    } else if (command === 'toggleSite') {
+      this.toggleSitePreference();
+    } else if (command === 'snippet') {
+      const found = this.snippets.find(s => s.abbr.trim() === snippet);
+      if (!found || !this.activeElement || !this.isTextInput(this.activeElement) || this.isSensitiveField(this.activeElement)) return;
+      this.clearGhostText();
+      this.insertSnippet(found);
+    }
+  }
+
   setupKeyboardListener() {
-    document.addEventListener('keydown', (event) => {
-      // Ctrl+Shift+Space trigger
-      if (event.ctrlKey && event.shiftKey && event.code === 'Space') {
+    this.attachKeyListeners(window);
+
+    // Double-space trigger
+    document.addEventListener('keyup', (event) => {
+      if (!this.isTriggerEnabled('doubleSpace')) return;
+      if (event.code === 'Space' && !event.ctrlKey && !event.shiftKey && !event.altKey) {
+        const now = performance.now();
+        if (now - this._lastSpaceTimeMs < 350) {
+          this.handleTrigger({ source: 'doubleSpace' });
+          this._lastSpaceTimeMs = 0;
+        } else {
+          this._lastSpaceTimeMs = now;
+        }
+      }
+    }, true);
+
+    // Auto after punctuation trigger with debounce
+    document.addEventListener('input', () => {
+      if (this._isInserting || !this.isTriggerEnabled('autoAfterPunctuation')) return;
+      if (!this.activeElement || !this.isTextInput(this.activeElement)) return;
+      if (this.isSensitiveField(this.activeElement)) return;
+      const text = this.getCurrentText();
+      if (!text) return;
+      const endsWithPunct = /[.!?][\)\]]?\s?$/.test(text);
+      clearTimeout(this._punctuationTimer);
+      if (endsWithPunct) {
+        this._punctuationTimer = setTimeout(() => this.handleTrigger({ source: 'punctuation' }), 350);
+      }
+    }, true);
+
+    // As-you-type: request a completion after an idle pause; every edit cancels
+    // the pending timer and any in-flight request
+    document.addEventListener('input', () => {
+      if (this._isInserting) return;
+      clearTimeout(this._autoSuggestTimer);
+      if (!this.isAutoSuggestEnabled()) return;
+      if (!this.activeElement || !this.isTextInput(this.activeElement)) return;
+      if (this.isSensitiveField(this.activeElement)) return;
+      if (this.ghostTextElement || this.abortController) this.clearGhostText();
+      if (!this.isCaretAtWordBoundary()) return;
+      // Single-line inputs get short completions: sooner and from fewer characters
+      const short = this.isShortCompletionField();
+      const minChars = short ? SHORT_MODE_MIN_CHARS : this.autoSuggest.minChars;
+      if (this.getTextBeforeCaret().trim().length < minChars) return;
+      const delay = short ? Math.min(this.autoSuggest.delayMs, SHORT_MODE_DELAY_MS) : this.autoSuggest.delayMs;
+      this._autoSuggestTimer = setTimeout(() => this.handleTrigger({ source: 'auto' }), delay);
+    }, true);
+  }
+
+  // Shortcut handling for a window: the page's own, or an editor's input iframe (Google Docs)
+  attachKeyListeners(target) {
+    if (this._keyListenerTargets.has(target)) return;
+    this._keyListenerTargets.add(target);
+    // Window capture runs before any listener the page puts on document or its elements
+    target.addEventListener('keydown', (event) => {
+      this._keydownTimes.set(event.code, performance.now());
+      const keys = this.keyBindings;
+
+      // The rewrite palette takes the keyboard while it is open
+      if (this.paletteElement) {
+        this.handlePaletteKey(event);
+        return;
+      }
+
+      // Manual trigger (Ctrl+Shift+Space by default)
+      if (matchesShortcut(event, keys.trigger)) {
         event.preventDefault();
         event.stopPropagation();
-        this.handleTrigger();
+        this.handleTrigger({ source: 'manual' });
+        return;
       }
 
       // Optional Ctrl+Enter trigger
-      if (this.triggers.ctrlEnter && event.ctrlKey && event.code === 'Enter') {
+      if (this.isTriggerEnabled('ctrlEnter') && event.ctrlKey && event.code === 'Enter') {
         event.preventDefault();
         event.stopPropagation();
-        this.handleTrigger();
+        this.handleTrigger({ source: 'ctrlEnter' });
+        return;
       }
       
-      // Ctrl+Shift+S to toggle per-site enable/disable
-      if (this.matchesShortcut(event, this.disableToggleShortcut)) {
+      // Rewrite the selected text
+      if (matchesShortcut(event, keys.rewrite)) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.openRewritePalette();
+        return;
+      }
+
+      // Toggle per-site enable/disable
+      if (matchesShortcut(event, keys.toggleSite)) {
         event.preventDefault();
         event.stopPropagation();
         this.toggleSitePreference();
+        return;
+      }
+
+      // Toggle as-you-type suggestions on this site
+      if (matchesShortcut(event, keys.toggleAutoSuggest)) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.toggleSiteAutoSuggest();
+        return;
       }
       
-      // Tab to accept ghost text
-      if (event.code === 'Tab' && this.ghostTextElement && this.isGhostTextVisible()) {
+      // Cycle alternative suggestions
+      if (this.ghostTextElement && this.candidates.length > 1) {
+        const step = matchesShortcut(event, keys.nextSuggestion) ? 1
+          : matchesShortcut(event, keys.previousSuggestion) ? -1 : 0;
+        if (step) {
+          event.preventDefault();
+          event.stopPropagation();
+          this.cycleCandidate(step);
+          return;
+        }
+      }
+
+      // Accept the next word / sentence only
+      if (this.ghostTextElement && this.isGhostTextVisible() && this.currentCompletion && !this.isRewritePreview()) {
+        const partial = matchesShortcut(event, keys.acceptWord) ? 'word'
+          : matchesShortcut(event, keys.acceptSentence) ? 'sentence' : null;
+        if (partial) {
+          event.preventDefault();
+          event.stopPropagation();
+          this.acceptPartialGhostText(partial);
+          return;
+        }
+      }
+
+      // Accept ghost text (Tab by default)
+      if (matchesShortcut(event, keys.accept) && this.ghostTextElement && this.isGhostTextVisible()) {
         event.preventDefault();
         event.stopPropagation();
         this.acceptGhostText();
+        return;
       }
       
-      // Esc to cancel ghost text
-      if (event.code === 'Escape' && this.ghostTextElement) {
+      // Cancel ghost text (Escape by default)
+      if (matchesShortcut(event, keys.dismiss) && this.ghostTextElement) {
         event.preventDefault();
+        this.resolveShownSuggestion('dismissed');
         this.clearGhostText();
+        return;
       }
       
+      // Undo the last accept (only while there is one, so the key still reaches the page otherwise)
+      if (this._lastAccept && matchesShortcut(event, keys.undoAccept)) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.undoLastAccept();
+        return;
+      }
+
       // Any typing cancels ghost text
-      if (this.ghostTextElement && this.isTypingKey(event)) {
+      if (this.ghostTextElement && isTypingKey(event)) {
+        this.resolveShownSuggestion('overwritten');
         this.clearGhostText();
       }
     }, true);
 
-    // Double-space trigger
-    document.addEventListener('keyup', (event) => {
-      if (!this.triggers.doubleSpace) return;
-      if (event.code === 'Space' && !event.ctrlKey && !event.shiftKey && !event.altKey) {
-        const now = performance.now();
-        if (now - this._lastSpaceTimeMs < 350) {
-          this.handleTrigger();
-          this._lastSpaceTimeMs = 0;
-        } else {
-          this._lastSpaceTimeMs = now;
-        }
-      }
+    // A bound key whose keydown never reached us was stopped by the page (e.g. an editor
+    // listening on window first); only its keyup gets through
+    target.addEventListener('keyup', (event) => {
+      const seenAt = this._keydownTimes.get(event.code);
+      if (seenAt !== undefined && performance.now() - seenAt < 2000) return;
+      if (!this.activeElement) return;
+      const ghostOnly = ['accept', 'dismiss', 'acceptWord', 'acceptSentence', 'nextSuggestion', 'previousSuggestion'];
+      const action = Object.keys(this.keyBindings).find(name =>
+        matchesShortcut(event, this.keyBindings[name]) && (!ghostOnly.includes(name) || this.ghostTextElement)
+        && (name !== 'undoAccept' || this._lastAccept));
+      if (action) this.reportSwallowedShortcut(action);
     }, true);
+  }
 
-    // Auto after punctuation trigger with debounce
+  setupPhraseRecording() {
+    // Remember sentences the user finishes typing (opt-in phrase memory)
     document.addEventListener('input', () => {
-      if (!this.triggers.autoAfterPunctuation) return;
+      if (!this.phraseMemory.enabled || this._isInserting || !this.siteEnabled) return;
       if (!this.activeElement || !this.isTextInput(this.activeElement)) return;
-      const text = this.getCurrentText();
-      if (!text) return;
-      const endsWithPunct = /[.!?][\)\]]?\s?$/.test(text);
-      clearTimeout(this._punctuationTimer);
-      if (endsWithPunct) {
-        this._punctuationTimer = setTimeout(() => this.handleTrigger(), 350);
-      }
+      if (this.isSensitiveField(this.activeElement)) return;
+      const match = this.getTextBeforeCaret().match(/([^.!?\n]{12,300}[.!?])$/);
+      if (match) this.phraseMemory.record(this.siteHost, this._lastLanguage, match[1]);
     }, true);
   }
 
+  get isModelReady() {
+    return this.lifecycle.usable;
+  }
+
+  get isDownloading() {
+    return this.lifecycle.state === 'downloading';
+  }
+
+  // Everything that follows the model state
+  setupModelLifecycle() {
+    this.lifecycle.subscribe((state, detail) => {
+      // Toolbar badge and popup (via the background worker)
+      const { error, needsActivation, retryAt, ...model } = detail;
+      this.reportStatus(error ? { model: { state, ...model }, error } : { model: { state, ...model } });
+      if (error) console.log('[SmartAutocomplete] Model ' + state + ':', error);
+    });
+    this.lifecycle.subscribe((state, detail) => {
+      if (state === 'downloading' && detail.progress != null) this.showGhostText(`Downloading AI model… ${detail.progress}%`);
+    });
+    this.lifecycle.subscribe(() => {
+      // Summaries need a model that works (and queued ones a Summarizer that still exists)
+      if (!this.lifecycle.usable) this.summaries.cancel();
+    });
+    this.lifecycle.subscribe((state, detail) => {
+      if (state === 'downloadable' && detail.needsActivation) this.armDownloadOnInteraction();
+      else this.disarmDownloadOnInteraction();
+    });
+  }
+
+  // The download needs a user gesture: start it on the next click or key press in the page
+  armDownloadOnInteraction() {
+    if (this._downloadGestureListener) return;
+    this._downloadGestureListener = () => {
+      if (!navigator.userActivation?.isActive) return;
+      this.disarmDownloadOnInteraction();
+      console.log('[SmartAutocomplete] User interaction, starting the model download');
+      this.initializeModel({ interactive: true });
+    };
+    ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, this._downloadGestureListener, true));
+  }
+
+  disarmDownloadOnInteraction() {
+    if (!this._downloadGestureListener) return;
+    ['pointerdown', 'keydown'].forEach(type => document.removeEventListener(type, this._downloadGestureListener, true));
+    this._downloadGestureListener = null;
+  }
+
+  // Summarize the earlier text of long fields while the user pauses, so triggers find
+  // summaries ready (src/summaries.js)
+  setupBackgroundSummaries() {
+    const schedule = () => {
+      if (this._isInserting || !this.siteEnabled || !this.summarizer) return;
+      if (!this.activeElement || !this.isTextInput(this.activeElement)) return;
+      if (this.isSensitiveField(this.activeElement) || this.isShortCompletionField()) return;
+      this.summaries.schedule(this.activeElement, this.getTextBeforeCaret());
+    };
+    document.addEventListener('input', schedule, true);
+    // Focus tracking (registered earlier) has set the active element by now
+    document.addEventListener('focusin', schedule);
+  }
+
+  isAutoSuggestEnabled() {
+    if (!this.siteEnabled) return false;
+    if (this.siteAutoSuggest !== null) return this.siteAutoSuggest;
+    const override = this.getActiveProfile()?.triggers.autoSuggest;
+    return typeof override === 'boolean' ? override : this.autoSuggest.enabled;
+  }
+
+  // Global trigger setting unless the active profile overrides it
+  isTriggerEnabled(name) {
+    const override = this.getActiveProfile()?.triggers[name];
+    return typeof override === 'boolean' ? override : !!this.triggers[name];
+  }
+
+  // Raw text between the start of the field and the caret
+  getTextBeforeCaret() {
+    if (!this.activeElement) return '';
+    const edited = this.editor?.read();
+    if (edited) return edited.before;
+    if (this.activeElement.tagName === 'TEXTAREA' || this.activeElement.tagName === 'INPUT') {
+      return String(this.activeElement.value || '').slice(0, this.activeElement.selectionStart ?? 0);
+    }
+    if (this.activeElement.isContentEditable) {
+      const selection = this.getSelection();
+      if (!selection || selection.rangeCount === 0) return '';
+      const range = selection.getRangeAt(0);
+      const beforeRange = document.createRange();
+      beforeRange.setStart(this.activeElement, 0);
+      beforeRange.setEnd(range.startContainer, range.startOffset);
+      return beforeRange.toString();
+    }
+    return '';
+  }
+
+  // True unless the caret sits inside a word (a letter or digit right after it)
+  isCaretAtWordBoundary() {
+    let nextChar = '';
+    const edited = this.editor?.read();
+    if (edited) {
+      nextChar = edited.after.charAt(0);
+    } else if (this.activeElement.tagName === 'TEXTAREA' || this.activeElement.tagName === 'INPUT') {
+      const value = String(this.activeElement.value || '');
+      nextChar = value.charAt(this.activeElement.selectionStart ?? value.length);
+    } else {
+      const selection = this.getSelection();
+      if (selection && selection.rangeCount > 0) {
+        const range = selection.getRangeAt(0);
+        if (range.startContainer.nodeType === Node.TEXT_NODE) {
+          nextChar = range.startContainer.textContent.charAt(range.startOffset);
+        }
+      }
+    }
+    return !/[\p{L}\p{N}]/u.test(nextChar);
+  }
+
+  // The text before the caret changed since the request started: its result is stale
+  isRequestStale() {
+    if (this._requestBeforeCaret === null || !this.activeElement) return false;
+    return this.getTextBeforeCaret() !== this._requestBeforeCaret;
+  }
+
+  // Counts for the current site and trigger (src/metrics.js); never any text
+  recordMetrics(counts, trigger = this._requestTrigger) {
+    this.metrics.add(this.siteHost, trigger, counts);
+  }
+
+  lookupCache(key) {
+    const cached = this.cache.get(key);
+    this.recordMetrics(cached ? { cacheHits: 1 } : { cacheMisses: 1 });
+    return cached;
+  }
+
+  // Once per request, when its first suggestion becomes visible
+  markSuggestionShown() {
+    if (this._shownSuggestion || !this.ghostTextElement) return;
+    this._shownSuggestion = { trigger: this._requestTrigger };
+    this.recordMetrics({ shown: 1 });
+  }
+
+  // What the user did with the shown suggestion: accepted, dismissed or overwritten
+  resolveShownSuggestion(outcome) {
+    if (!this._shownSuggestion) return;
+    this.recordMetrics({ [outcome]: 1 }, this._shownSuggestion.trigger);
+    this._shownSuggestion = null;
+  }
+
   setupFocusTracking() {
     document.addEventListener('focusin', (event) => {
-      if (this.isTextInput(event.target)) {
-        this.activeElement = event.target;
+      const target = this.getFocusTarget(event);
+      // Sensitive fields are never tracked, so no trigger can read them
+      if (this.isTextInput(target) && !this.isSensitiveField(target)) {
+        this.setActiveElement(target);
       }
     });
 
     document.addEventListener('focusout', () => {
+      this.closeRewritePalette();
       this.clearGhostText();
-      this.activeElement = null;
+      this.setActiveElement(null);
     });
+
+    // Focus moving into an editor's input iframe (Google Docs) only blurs this window
+    window.addEventListener('blur', () => {
+      setTimeout(() => {
+        const frame = document.activeElement;
+        if (frame?.tagName === 'IFRAME' && this.isTextInput(frame)) this.setActiveElement(frame);
+      }, 0);
+    });
+  }
+
+  // focusin is retargeted to the shadow host; the first node of the composed path is the
+  // field that actually has focus (open shadow roots only, closed ones stay hidden)
+  getFocusTarget(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+    return path[0]?.nodeType === Node.ELEMENT_NODE ? path[0] : event.target;
+  }
+
+  // Selection as seen from the active element's tree. Inside a shadow root Chrome reports
+  // window.getSelection() against the host; ShadowRoot.getSelection() has the real nodes.
+  getSelection(element = this.activeElement) {
+    const root = element?.getRootNode?.();
+    if (root && root !== document && typeof root.getSelection === 'function') return root.getSelection();
+    return window.getSelection();
+  }
+
+  setActiveElement(element) {
+    if (element !== this.activeElement) {
+      this._lastAccept = null;
+      // The blurred field's model session goes; it is primed again on its next request
+      const id = this.activeElement && this.fieldIds.get(this.activeElement);
+      if (id) this.languageModel?.releaseField?.(id);
+    }
+    this.activeElement = element;
+    this.editor = element ? detectEditor(element) : null;
+    if (this.editor) console.log('[SmartAutocomplete] Editor adapter:', this.editor.name);
+    // Keys typed into the editor's iframe never reach this window
+    if (element?.tagName === 'IFRAME' && this.editor) {
+      try {
+        this.attachKeyListeners(element.contentWindow);
+      } catch (e) {
+        // ignore
+      }
+    }
+  }
+
+  // Field a model request is for: { id, context }. Each field gets its own session, primed
+  // with a short description of the field; nothing typed elsewhere is in it.
+  getFieldSessionInfo(element = this.activeElement) {
+    if (!element) return null;
+    let id = this.fieldIds.get(element);
+    if (!id) {
+      id = 'f' + (++this.fieldCount);
+      this.fieldIds.set(element, id);
+    }
+    let kind = 'rich-text';
+    if (this.editor && element === this.activeElement) kind = `${this.editor.name} editor`;
+    else if (element.tagName === 'TEXTAREA') kind = 'multi-line text';
+    else if (element.tagName === 'INPUT') kind = `single-line ${(element.type || 'text').toLowerCase()}`;
+    const label = (element.getAttribute('aria-label') || element.getAttribute('placeholder') || element.getAttribute('name') || '')
+      .replace(/\s+/g, ' ').trim().slice(0, 80);
+    const context = `The text comes from a ${kind} field${label ? ` labeled "${label}"` : ''} on ${this.siteHost || 'a local page'}. ` +
+      'Use this only to match what belongs in the field; never mention it.';
+    // Chrome's sessions take the profile temperature when created (src/field-sessions.js)
+    const temperature = this.getActiveProfile(element)?.temperature;
+    return temperature !== undefined ? { id, context, temperature } : { id, context };
   }
 
   isTextInput(element) {
@@ -165,17 +903,87 @@ class SmartAutocomplete {
     // Input text elements
     if (element.tagName === 'INPUT') {
       const type = element.type?.toLowerCase();
-      return ['text', 'search', 'url', 'email', 'password'].includes(type);
+      return ['text', 'search', 'url', 'email'].includes(type);
     }
     
     // Contenteditable elements
     if (element.isContentEditable) return true;
     
-    return false;
+    // Editors whose input target isn't a text field (Google Docs' input iframe)
+    return !!detectEditor(element);
+  }
+
+  // Classify fields that may hold secrets (passwords, payment, identity, one-time codes).
+  // Such fields are excluded from triggers, context extraction and nearby-text scraping.
+  isSensitiveField(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+    try {
+      // User-configured exclusions (match the field or any ancestor)
+      for (const selector of this.excludedSelectors) {
+        try {
+          if (element.closest(selector)) return true;
+        } catch (_) {
+          // ignore invalid selectors
+        }
+      }
+
+      if (element.tagName === 'INPUT') {
+        const type = (element.getAttribute('type') || 'text').toLowerCase();
+        if (['password', 'hidden'].includes(type)) return true;
+      }
+
+      // autocomplete="section-x shipping cc-number" -> check every token
+      const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+      if (autocomplete.split(/\s+/).some(token => SENSITIVE_AUTOCOMPLETE_PATTERN.test(token))) return true;
+
+      const descriptors = [
+        element.getAttribute('name'),
+        element.id,
+        element.getAttribute('aria-label'),
+        element.getAttribute('placeholder'),
+        this.getAriaLabelledByText(element),
+        ...Array.from(element.labels || []).map(label => label.textContent)
+      ];
+      return descriptors.some(text => this.hasSensitiveWording(text));
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // True if the element is sensitive itself or contains a sensitive field
+  containsSensitiveField(element) {
+    if (!element) return false;
+    if (this.isSensitiveField(element)) return true;
+    try {
+      const fields = element.querySelectorAll('input, textarea, [contenteditable]');
+      return Array.from(fields).some(field => this.isSensitiveField(field));
+    } catch (_) {
+      return false;
+    }
+  }
+
+  getAriaLabelledByText(element) {
+    const ids = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+    return ids
+      .map(id => document.getElementById(id)?.textContent || '')
+      .join(' ');
   }
 
-  async handleTrigger() {
-    console.log('[SmartAutocomplete] Trigger activated');
+  hasSensitiveWording(text) {
+    if (!text) return false;
+    // Split camelCase / snake_case / kebab-case identifiers into lowercase words
+    const words = String(text)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+    if (words.some(word => SENSITIVE_FIELD_TOKENS.has(word))) return true;
+    return SENSITIVE_FIELD_PHRASES.test(words.join(' '));
+  }
+
+  async handleTrigger({ source = 'manual' } = {}) {
+    console.log('[SmartAutocomplete] Trigger activated:', source);
+    const isAuto = source === 'auto';
     
     // Throttle triggers to avoid spamming model
     const nowTs = performance.now();
@@ -183,38 +991,186 @@ class SmartAutocomplete {
       return;
     }
     this._lastTriggerTs = nowTs;
+    if (isAuto && !this.isAutoSuggestEnabled()) return;
 
     if (!this.activeElement || !this.isTextInput(this.activeElement)) {
       console.log('[SmartAutocomplete] No valid text input focused');
       return;
     }
+
+    if (this.isSensitiveField(this.activeElement)) {
+      console.log('[SmartAutocomplete] Sensitive field focused, skipping');
+      return;
+    }
     
     // Respect per-site preference
     if (!this.siteEnabled) {
-      this.showGhostText('Autocomplete is disabled on this site (Ctrl+Shift+S to enable)', null, 'error');
+      this.showGhostText(`Autocomplete is disabled on this site (${this.keyBindings.toggleSite} to enable)`, null, 'error');
       return;
     }
 
     // Clear any existing ghost text
     this.clearGhostText();
 
-    // Check if model is ready or needs download
-    if (!this.isModelReady && !this.isDownloading) {
-      await this.initializeModel();
+    // A snippet abbreviation before the caret takes precedence over the model
+    if (source !== 'auto' && source !== 'punctuation' && await this.tryExpandSnippet(source)) {
+      return;
     }
 
-    // If model is ready, generate actual completion
-    if (this.isModelReady && this.languageModel) {
-      await this.generateCompletion();
-    } else {
-      // Fallback to demo/placeholder mode
-      this.showPlaceholderGhostText();
+    this._autoRequest = isAuto;
+    this._requestTrigger = source;
+    this._requestBeforeCaret = this.getTextBeforeCaret();
+    const profile = this.getActiveProfile();
+    if (profile) console.log('[SmartAutocomplete] Using profile:', profile.name);
+
+    try {
+      // Check if model is ready or needs download (as-you-type never starts a download, and
+      // waits out the backoff after a failure)
+      if (!this.isModelReady && !this.isDownloading && (!isAuto || this.lifecycle.canRetry())) {
+        // Context menu commands arrive as messages, without user activation
+        await this.initializeModel({ interactive: !isAuto, activated: source !== 'contextMenu' });
+      }
+
+      // If model is ready, generate actual completion
+      if (this.isModelReady && this.languageModel) {
+        await this.generateCompletion();
+      } else if (!isAuto) {
+        // Fallback to demo/placeholder mode
+        this.showPlaceholderGhostText();
+      }
+    } finally {
+      this._autoRequest = false;
+    }
+  }
+
+  loadSnippets() {
+    try {
+      if (!chrome?.storage?.local) return;
+      chrome.storage.local.get(['snippets'], (data) => this.setSnippets(data?.snippets));
+    } catch (e) {
+      // ignore
     }
   }
 
+  loadProfiles() {
+    try {
+      if (!chrome?.storage?.local) return;
+      chrome.storage.local.get(['profiles'], (data) => this.setProfiles(data?.profiles));
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  // Built-in profiles until the user saves their own list (which may be empty)
+  setProfiles(list) {
+    const source = Array.isArray(list) ? list : DEFAULT_PROFILES;
+    this.profiles = source.map(normalizeProfile).filter(Boolean);
+    this._profileMemo = null;
+  }
+
+  // First profile matching the page and the focused field (memoized per field and URL)
+  getActiveProfile(element = this.activeElement) {
+    const url = location.href;
+    const memo = this._profileMemo;
+    if (memo && memo.element === element && memo.url === url) return memo.profile;
+    const profile = findProfile(this.profiles, { url, hostname: this.siteHost, element });
+    this._profileMemo = { element, url, profile };
+    return profile;
+  }
+
+  // Single-line inputs take a few words, never sentences
+  isShortCompletionField(element = this.activeElement) {
+    return element?.tagName === 'INPUT';
+  }
+
+  // Sentence range for the current request: the active profile's, else the global one
+  getSentenceLimits() {
+    // Filling a gap: a few words up to one sentence
+    if (this._infillContext) return { min: 1, max: 1 };
+    const profile = this.getActiveProfile();
+    const max = profile?.maxSentences ?? this.maxSentences;
+    const min = Math.min(profile?.minSentences ?? this.minSentences, max);
+    return { min, max };
+  }
+
+  // Per-prompt options from the active profile: the local server takes the temperature
+  // with each prompt; Chrome's sessions get it from the field (getFieldSessionInfo)
+  getProfilePromptOptions() {
+    const temperature = this.activeBackend === 'http' ? this.getActiveProfile()?.temperature : undefined;
+    return temperature !== undefined ? { temperature } : {};
+  }
+
+  // Profile instructions appended to both prompt templates
+  buildProfileInstructions() {
+    const profile = this.getActiveProfile();
+    if (!profile) return '';
+    return `\n\nWriting context: ${profile.name}${profile.systemPrompt ? `\nInstructions: ${profile.systemPrompt}` : ''}`;
+  }
+
+  setSnippets(list) {
+    this.snippets = Array.isArray(list)
+      ? list.filter(s => s && typeof s.abbr === 'string' && s.abbr.trim() && typeof s.text === 'string')
+      : [];
+  }
+
+  // Snippet whose abbreviation ends right before the caret (a whole token).
+  // Double-space triggers leave the typed spaces behind the abbreviation.
+  findSnippetAtCaret(source) {
+    if (!this.snippets.length) return null;
+    const before = this.getTextBeforeCaret();
+    const match = source === 'doubleSpace' ? before.match(/(\S+)(\s*)$/) : before.match(/(\S+)()$/);
+    if (!match) return null;
+    const snippet = this.snippets.find(s => s.abbr.trim() === match[1]);
+    return snippet ? { snippet, length: match[0].length } : null;
+  }
+
+  async tryExpandSnippet(source) {
+    const found = this.findSnippetAtCaret(source);
+    if (!found) return false;
+    await this.insertSnippet(found.snippet, found.length);
+    return true;
+  }
+
+  // Insert a snippet at the caret, first removing deleteBefore characters (its abbreviation)
+  async insertSnippet(snippet, deleteBefore = 0) {
+    const { text, caretOffset } = await this.renderSnippetTemplate(snippet.text);
+    console.log('[SmartAutocomplete] Expanding snippet:', snippet.abbr);
+    this.savedCursorPosition = this.getCurrentCursorPosition({ collapse: true });
+    if (!this.insertAtSavedPosition(text, { deleteBefore, caretOffset })) {
+      this.showGhostText('Could not expand snippet here', null, 'error');
+    }
+    this.savedCursorPosition = null;
+  }
+
+  // Fill {date}, {time}, {clipboard}, {page.title}, {page.url}, {page.host}; {cursor} marks the caret
+  async renderSnippetTemplate(template) {
+    let clipboard = '';
+    if (template.includes('{clipboard}')) {
+      try {
+        clipboard = await navigator.clipboard.readText();
+      } catch (e) {
+        console.log('[SmartAutocomplete] Clipboard not readable:', e.message);
+      }
+    }
+    const now = new Date();
+    const values = {
+      date: now.toLocaleDateString(),
+      time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+      clipboard,
+      'page.title': document.title || '',
+      'page.url': location.href,
+      'page.host': this.siteHost
+    };
+    const filled = template.replace(/\{(date|time|clipboard|page\.title|page\.url|page\.host)\}/g, (_, name) => values[name]);
+    const cursorIndex = filled.indexOf('{cursor}');
+    const text = filled.replace(/\{cursor\}/g, '');
+    return { text, caretOffset: cursorIndex >= 0 ? cursorIndex : null };
+  }
+
   async generateCompletion() {
     try {
       console.log('[SmartAutocomplete] Generating AI completion...');
+      this.recordMetrics({ requests: 1 });
       this.showGhostText('Generating completion...', null, 'loading');
       
       // Create abort controller for cancellation
@@ -228,7 +1184,17 @@ class SmartAutocomplete {
       }
       
       // Save cursor position for accurate insertion later
-      this.savedCursorPosition = this.getCurrentCursorPosition();
+      this.savedCursorPosition = this.getCurrentCursorPosition({ collapse: true });
+      this._infillContext = contextData.infill ? {
+        before: (contextData.beforeCursor.slice(-60).match(/(\S+\s*){1,3}$/) || [''])[0],
+        after: (contextData.afterCursor.slice(0, 60).match(/^(\s*\S+){1,3}/) || [''])[0]
+      } : null;
+
+      // Single-line input: a few words on a tight budget, without language detection
+      if (contextData.short) {
+        await this.generateShortCompletion(contextData);
+        return;
+      }
       
       // Detect language if available
       let detectedLanguage = 'en'; // default
@@ -243,12 +1209,29 @@ class SmartAutocomplete {
           console.log('[SmartAutocomplete] Language detection failed:', error.message);
         }
       }
+      this._lastLanguage = detectedLanguage;
+      
+      // The user kept typing while context/language were prepared
+      if (this.isRequestStale()) {
+        this.clearGhostText();
+        return;
+      }
       
-      // Try cache first
       const cacheKey = this.buildCacheKey(contextData, detectedLanguage);
-      const cached = this.cache.get(cacheKey);
+
+      // Instant suggestion from personal phrase memory; model results become alternatives.
+      // Remembered phrases only continue text, so they can't fill a gap.
+      const remembered = !contextData.infill && this.phraseMemory.findContinuation(this.siteHost, detectedLanguage, contextData.recentText);
+      if (remembered) {
+        this.showCandidates([remembered]);
+        await this.appendModelCandidates(contextData, detectedLanguage, cacheKey, remembered);
+        return;
+      }
+      
+      // Try cache first
+      const cached = this.lookupCache(cacheKey);
       if (cached) {
-        this.showGhostText(cached, cached, 'ready');
+        this.showCandidates(Array.isArray(cached) ? cached : [cached]);
         return;
       }
       
@@ -262,31 +1245,14 @@ class SmartAutocomplete {
         // Generate completion with structured output
         const options = {
           language: 'en',
-          responseConstraint: {
-            type: 'object',
-            properties: {
-              accept: { type: 'boolean' },
-              confidence: { type: 'number', minimum: 0, maximum: 1 },
-              sentences: {
-                type: 'array',
-                items: { type: 'string' },
-                minItems: this.minSentences,
-                maxItems: this.maxSentences
-              }
-            },
-            required: ['accept', 'confidence', 'sentences']
-          }
+          responseConstraint: this.getCompletionResponseConstraint(),
+          ...this.getProfilePromptOptions()
         };
         if (this.abortController) options.signal = this.abortController.signal;
         const response = await this.languageModel.prompt(prompt, options);
-        // Parse and display completion
-        this.handleCompletionResponse(response, detectedLanguage, contextData);
-        // Cache positive results
-        if (response && response.sentences && response.sentences.length) {
-          let completion = response.sentences.join(' ').trim();
-          completion = this.cleanCompletionText(completion, contextData);
-          if (completion) this.cache.set(cacheKey, completion);
-        }
+        // Parse and display completion; cache positive results
+        const candidates = this.handleCompletionResponse(response, detectedLanguage, contextData);
+        if (candidates.length) this.cache.set(cacheKey, candidates);
       }
       
     } catch (error) {
@@ -294,7 +1260,9 @@ class SmartAutocomplete {
         console.log('[SmartAutocomplete] Completion cancelled');
       } else {
         console.error('[SmartAutocomplete] Completion failed:', error);
+        this.reportStatus({ error: 'Completion failed: ' + error.message });
         this.showGhostText('Completion failed: ' + error.message, null, 'error');
+        this.handleModelError(error);
       }
     }
   }
@@ -304,9 +1272,21 @@ class SmartAutocomplete {
     const prompt = await this.createStreamingPrompt(contextData, detectedLanguage);
     let accumulated = '';
     this.showGhostText('Generating…', '', 'streaming');
+    // showGhostText cancelled the previous controller; this one owns the stream
+    this.abortController = new AbortController();
+    const signal = this.abortController.signal;
     try {
-      const streamOptions = { temperature: 0.3, topK: 3, language: 'en' };
+      const streamOptions = { language: 'en', ...this.getProfilePromptOptions() };
       if (this.abortController) streamOptions.signal = this.abortController.signal;
+      const streamStart = performance.now();
+      let firstToken = true;
+      // Time to first token, and the suggestion counts as shown once text is visible
+      const onVisible = () => {
+        if (!firstToken) return;
+        firstToken = false;
+        this.recordMetrics({ ttftCount: 1, ttftTotalMs: Math.round(performance.now() - streamStart) });
+        this.markSuggestionShown();
+      };
       const stream = await this.languageModel.promptStreaming(prompt, streamOptions);
       
       // Support async iterator style
@@ -315,28 +1295,32 @@ class SmartAutocomplete {
         for await (const chunk of stream) {
           if (typeof chunk !== 'string') continue;
           accumulated += chunk;
-          const cleaned = this.cleanCompletionText(accumulated, contextData);
+          if (this.isRequestStale()) { this.clearGhostText(); return; }
+          const cleaned = cleanCompletionText(accumulated, contextData);
           const tNow = performance.now();
           if (cleaned.trim().length > 0 && tNow - this._lastStreamUpdateMs > 60) {
             this.updateGhostText(cleaned);
             this._lastStreamUpdateMs = tNow;
+            onVisible();
           }
-          if (this.shouldEarlyStopStreaming(cleaned)) { earlyStop = true; break; }
+          if (this.shouldEarlyStopStreaming(cleaned, contextData, accumulated)) { earlyStop = true; break; }
         }
       } else if (stream && typeof stream.onToken === 'function') {
         // Event-callback style
         let earlyStop = false;
         await new Promise((resolve, reject) => {
           stream.onToken((token) => {
-            if (earlyStop) return;
+            if (earlyStop || signal.aborted) return;
             accumulated += token || '';
-            const cleaned = this.cleanCompletionText(accumulated, contextData);
+            if (this.isRequestStale()) { earlyStop = true; this.clearGhostText(); return; }
+            const cleaned = cleanCompletionText(accumulated, contextData);
             const tNow = performance.now();
             if (cleaned.trim().length > 0 && tNow - this._lastStreamUpdateMs > 60) {
               this.updateGhostText(cleaned);
               this._lastStreamUpdateMs = tNow;
+              onVisible();
             }
-            if (this.shouldEarlyStopStreaming(cleaned)) { earlyStop = true; }
+            if (this.shouldEarlyStopStreaming(cleaned, contextData, accumulated)) { earlyStop = true; }
           });
           stream.onDone(() => resolve());
           stream.onError((e) => reject(e));
@@ -349,77 +1333,259 @@ class SmartAutocomplete {
         const fallbackPrompt = await this.createCompletionPrompt(contextData, detectedLanguage);
         const options = {
           language: 'en',
-          responseConstraint: {
-            type: 'object',
-            properties: {
-              accept: { type: 'boolean' },
-              confidence: { type: 'number', minimum: 0, maximum: 1 },
-              sentences: { type: 'array', items: { type: 'string' }, minItems: this.minSentences, maxItems: this.maxSentences }
-            },
-            required: ['accept', 'confidence', 'sentences']
-          }
+          responseConstraint: this.getCompletionResponseConstraint(),
+          ...this.getProfilePromptOptions()
         };
         if (this.abortController) options.signal = this.abortController.signal;
         const response = await this.languageModel.prompt(fallbackPrompt, options);
-        this.handleCompletionResponse(response, detectedLanguage, contextData);
+        const candidates = this.handleCompletionResponse(response, detectedLanguage, contextData);
+        if (candidates.length) this.cache.set(cacheKey, candidates);
         return;
       }
     }
+    // Cancelled (dismissed, partially accepted or re-triggered): keep the ghost as it is
+    if (signal.aborted) return;
+    if (this.isRequestStale()) {
+      this.clearGhostText();
+      return;
+    }
     
-    let finalText = this.cleanCompletionText(accumulated, contextData).trim();
-    finalText = this.limitToSentenceRange(finalText, this.minSentences, this.maxSentences);
+    const finalText = this.finalizeCompletion(accumulated, contextData);
     if (finalText) {
+      this.candidates = [finalText];
+      this.candidateIndex = 0;
       this.updateGhostText(finalText);
       this.currentCompletion = finalText;
       this.setGhostState('ready');
-      this.cache.set(cacheKey, finalText);
+      this.markSuggestionShown();
+      this.cache.set(cacheKey, [finalText]);
+      // Fetch alternatives in the background; they can be cycled once they arrive
+      if (this.candidateCount > 1) {
+        await this.generateAlternatives(contextData, detectedLanguage, finalText, cacheKey);
+      }
+    } else if (this._autoRequest) {
+      this.clearGhostText();
     } else {
       this.updateGhostText('No suitable completion found');
       this.setGhostState('error');
     }
   }
 
-  createStreamingPrompt(contextData, language = 'en') {
-    const languageInstruction = language && language !== 'en' ? `Continue in ${language}.` : 'Continue in English.';
-    const beforeCursor = contextData.beforeCursor || contextData.text;
-    const afterCursor = contextData.afterCursor || '';
-    const completionPoint = `${beforeCursor}[CURSOR]${afterCursor}`;
-    return `You are a text continuation engine. Continue ONLY the text after [CURSOR].
+  async generateAlternatives(contextData, detectedLanguage, primary, cacheKey) {
+    const signal = this.abortController?.signal;
+    try {
+      const prompt = await this.createAlternativesPrompt(contextData, detectedLanguage, primary, this.candidateCount - 1);
+      const options = {
+        language: 'en',
+        responseConstraint: {
+          type: 'object',
+          properties: {
+            alternatives: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: this.candidateCount - 1 }
+          },
+          required: ['alternatives']
+        },
+        ...this.getProfilePromptOptions()
+      };
+      if (signal) options.signal = signal;
+      const response = await this.languageModel.prompt(prompt, options);
+      const result = typeof response === 'string' ? JSON.parse(response) : response;
+      // Drop late results if the suggestion was dismissed or replaced meanwhile
+      if (signal?.aborted || !this.ghostTextElement || this.candidates[0] !== primary) return;
+      const alternatives = (result?.alternatives || []).map(alt => this.finalizeCompletion(alt, contextData));
+      this.candidates = this.dedupeCandidates([primary, ...alternatives]);
+      this.renderCandidateIndicator();
+      this.cache.set(cacheKey, this.candidates.slice());
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        console.log('[SmartAutocomplete] Alternative generation failed:', e.message);
+      }
+    }
+  }
+
+  // Add model completions behind an already visible (non-model) suggestion
+  async appendModelCandidates(contextData, detectedLanguage, cacheKey, shown) {
+    this.abortController = new AbortController();
+    const signal = this.abortController.signal;
+    try {
+      let modelCandidates = this.lookupCache(cacheKey);
+      if (!modelCandidates) {
+        const prompt = await this.createCompletionPrompt(contextData, detectedLanguage);
+        const response = await this.languageModel.prompt(prompt, {
+          language: 'en',
+          responseConstraint: this.getCompletionResponseConstraint(),
+          ...this.getProfilePromptOptions(),
+          signal
+        });
+        const result = typeof response === 'string' ? JSON.parse(response) : response;
+        if (!result?.accept) return;
+        modelCandidates = this.dedupeCandidates(
+          [(result.sentences || []).join(' '), ...(result.alternatives || [])]
+            .map(c => this.finalizeCompletion(c, contextData))
+        );
+        if (modelCandidates.length) this.cache.set(cacheKey, modelCandidates);
+      }
+      if (signal.aborted || !this.ghostTextElement || this.candidates[0] !== shown || this.isRequestStale()) return;
+      this.candidates = this.dedupeCandidates([shown, ...modelCandidates]).slice(0, this.candidateCount + 1);
+      this.renderCandidateIndicator();
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        console.log('[SmartAutocomplete] Model completion behind phrase memory failed:', e.message);
+      }
+    }
+  }
 
-Current text: "${completionPoint}"
+  // Short mode: the local prediction first, then the model's within SHORT_MODE_TIMEOUT_MS
+  async generateShortCompletion(contextData) {
+    this.trainNGrams();
+    const predicted = this.ngrams.predict(contextData.beforeCursor);
+    if (predicted.trim()) this.showCandidates([predicted]);
+    const cacheKey = this.buildCacheKey(contextData, 'short');
+    const cached = this.lookupCache(cacheKey);
+    if (cached) {
+      this.showCandidates([...cached, predicted]);
+      return;
+    }
 
-Rules:
-- Output ONLY the continuation that should come after [CURSOR]
-- Do NOT repeat any text already before [CURSOR]
-- Do NOT answer questions, address the user, or explain
-- ${languageInstruction}
-- Output ${this.minSentences}-${this.maxSentences} sentences maximum, natural flow, match style and tone
-- If no continuation is appropriate, output nothing`;
+    // Showing the prediction cleared the request's controller; this one carries the budget
+    const controller = new AbortController();
+    this.abortController = controller;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, SHORT_MODE_TIMEOUT_MS);
+    try {
+      const response = await this.languageModel.prompt(this.createShortPrompt(contextData), {
+        language: 'en',
+        ...this.getProfilePromptOptions(),
+        signal: controller.signal
+      });
+      if (controller.signal.aborted) return;
+      const completion = finishShortCompletion(String(response || ''), contextData.beforeCursor, SHORT_MODE_MAX_WORDS);
+      if (completion.trim()) {
+        this.cache.set(cacheKey, [completion]);
+        this.showCandidates([completion, predicted]);
+        return;
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+      if (!timedOut) return;
+      console.log('[SmartAutocomplete] Short completion exceeded its time budget');
+    } finally {
+      clearTimeout(timer);
+    }
+    if (predicted.trim()) return;
+    if (this._autoRequest) this.clearGhostText();
+    else this.showGhostText('No suitable completion found', null, 'error');
   }
 
-  shouldEarlyStopStreaming(text) {
-    if (!text) return false;
-    const sentenceEndings = (text.match(/[\.\!\?](\s|$)/g) || []).length;
-    return sentenceEndings >= this.maxSentences;
+  // Learn the page's vocabulary and this site's remembered phrases, once per page
+  trainNGrams() {
+    if (this._ngramsTrained) return;
+    this._ngramsTrained = true;
+    try {
+      this.ngrams.train((document.body?.innerText || '').slice(0, 100000));
+    } catch (e) {
+      // ignore
+    }
+    this.phraseMemory.entries.filter(e => e.site === this.siteHost).forEach(e => this.ngrams.train(e.text));
+  }
+
+  createShortPrompt(contextData) {
+    const field = this.activeElement;
+    return buildShortPrompt(contextData, {
+      kind: (field?.type || 'text').toLowerCase(),
+      label: (field?.getAttribute('placeholder') || field?.getAttribute('aria-label') || '').trim().slice(0, 80),
+      maxWords: SHORT_MODE_MAX_WORDS,
+      profileInstructions: this.buildProfileInstructions()
+    });
+  }
+
+  // Few-shot style examples from the user's phrase memory for this site/language
+  buildPhraseExamples(language) {
+    const examples = this.phraseMemory.examples(this.siteHost, language);
+    if (!examples.length) return '';
+    return `\n\nPhrases this user often writes here (match their style; reuse only if they fit):\n${examples.map(e => `- "${e}"`).join('\n')}`;
+  }
+
+  createAlternativesPrompt(contextData, language, primary, count) {
+    return this.buildBudgetedPrompt(contextData, this.getPromptOptions(language),
+      (context, options) => buildAlternativesPrompt(context, primary, count, options));
+  }
+
+  // Structured-output schema for non-streaming completions
+  getCompletionResponseConstraint() {
+    return buildCompletionSchema(this.getSentenceLimits(), this.candidateCount);
   }
 
-  limitToSentenceRange(text, minSentences, maxSentences) {
-    if (!text) return text;
-    const tokens = text.split(/([\.\!\?](?:\s|$))/);
-    let sentences = [];
-    for (let i = 0; i < tokens.length; i += 2) {
-      const seg = (tokens[i] || '').trim();
-      const end = tokens[i + 1] || '';
-      if (!seg) continue;
-      sentences.push(seg + end);
-      if (sentences.length >= maxSentences) break;
+  createStreamingPrompt(contextData, language = 'en') {
+    return this.buildBudgetedPrompt(contextData, this.getPromptOptions(language), buildStreamingPrompt);
+  }
+
+  // Build a prompt with its context parts trimmed to the model's token budget: the text
+  // before the caret first, then after it, a summary of what was cut, page context and
+  // profile instructions (see src/context-budget.js)
+  async buildBudgetedPrompt(contextData, options, build) {
+    const model = this.languageModel;
+    const texts = {
+      before: contextData.beforeCursor || '',
+      after: contextData.afterCursor || '',
+      summary: '',
+      page: options.websiteContext || '',
+      profile: options.profileInstructions || ''
+    };
+    const overhead = build({ ...contextData, text: '', beforeCursor: '', afterCursor: '' }, { ...options, websiteContext: '', profileInstructions: '' });
+    const canSummarize = !!this.summarizer && !contextData.short;
+    let fit = await this.contextBudgeter.fit(model, texts, { overhead, reserve: canSummarize ? { summary: Infinity } : {} });
+    // Text before the caret that didn't fit is replaced by its summary, as far as one is
+    // ready; the pipeline catches up in idle time. A cut inside the paragraphs still being
+    // written keeps them whole, as they aren't summarized.
+    let kept = fit.texts.before;
+    let summary = '';
+    if (canSummarize) {
+      const cut = summaryCut(texts.before, texts.before.length - kept.length);
+      summary = this.summaries.summaryFor(this.activeElement, texts.before, cut);
+      kept = texts.before.slice(cut);
     }
-    return sentences.join(' ').trim();
+    const beforePart = fit.parts.find(p => p.name === 'before');
+    fit = await this.contextBudgeter.fit(model, { ...texts, before: kept, summary }, { overhead });
+    // Report the text before the caret as measured before it was cut
+    Object.assign(fit.parts.find(p => p.name === 'before'), { tokens: beforePart.tokens, trimmed: beforePart.trimmed });
+    this.lastContextBudget = fit;
+    console.log('[SmartAutocomplete] Context budget:', describeContextBudget(fit));
+
+    const before = fit.texts.summary ? `[Earlier context: ${fit.texts.summary}]\n\n${fit.texts.before}` : fit.texts.before;
+    return build(
+      { ...contextData, text: before, beforeCursor: before, afterCursor: fit.texts.after },
+      { ...options, websiteContext: fit.texts.page, profileInstructions: fit.texts.profile }
+    );
+  }
+
+  // Inputs of the prompt builders (src/prompts.js) for the current request
+  getPromptOptions(language = 'en') {
+    return {
+      language,
+      limits: this.getSentenceLimits(),
+      tone: this.getActiveProfile()?.tone || '',
+      profileInstructions: this.buildProfileInstructions(),
+      phraseExamples: this.buildPhraseExamples(language),
+      candidateCount: this.candidateCount
+    };
+  }
+
+  shouldEarlyStopStreaming(text, contextData = null, raw = text) {
+    // Infill: once the model writes the text after the caret, the gap is filled
+    if (contextData?.infill && findSuffixStart(raw, contextData.afterCursor) >= 0) return true;
+    if (!text) return false;
+    const sentenceEndings = (text.match(/[\.\!\?](\s|$)/g) || []).length;
+    return sentenceEndings >= this.getSentenceLimits().max;
   }
 
   buildCacheKey(contextData, language) {
-    const site = location.hostname;
-    const keyPayload = `${site}|${(contextData.beforeCursor || '').slice(-200)}|${language}`;
+    const site = this.siteHost;
+    const profile = this.getActiveProfile()?.name || '';
+    const suffix = contextData.infill ? (contextData.afterCursor || '').slice(0, 100) : '';
+    const keyPayload = `${site}|${profile}|${(contextData.beforeCursor || '').slice(-200)}|${suffix}|${language}`;
     // Simple hash to keep keys short
     let hash = 0;
     for (let i = 0; i < keyPayload.length; i++) {
@@ -431,13 +1597,22 @@ Rules:
   }
 
   async extractContext() {
-    if (!this.activeElement) return { text: '', recentText: '', beforeCursor: '', afterCursor: '' };
+    if (!this.activeElement || this.isSensitiveField(this.activeElement)) {
+      return { text: '', recentText: '', beforeCursor: '', afterCursor: '' };
+    }
     
     let beforeCursor = '';
     let afterCursor = '';
+    let lineAfterCursor = null; // Rest of the caret's block, where afterCursor runs past it
     let fullText = '';
+    const edited = this.editor?.read();
     
-    if (this.activeElement.tagName === 'TEXTAREA' || this.activeElement.tagName === 'INPUT') {
+    if (edited) {
+      // Framework editor: text and caret from the editor's own model
+      beforeCursor = edited.before;
+      afterCursor = edited.after;
+      fullText = edited.before + edited.after;
+    } else if (this.activeElement.tagName === 'TEXTAREA' || this.activeElement.tagName === 'INPUT') {
       const value = this.activeElement.value;
       const cursorPos = this.activeElement.selectionStart;
       
@@ -446,7 +1621,7 @@ Rules:
       fullText = value;
       
     } else if (this.activeElement.isContentEditable) {
-      const selection = window.getSelection();
+      const selection = this.getSelection();
       if (selection.rangeCount > 0) {
         const range = selection.getRangeAt(0);
         
@@ -461,165 +1636,80 @@ Rules:
         afterRange.setStart(range.endContainer, range.endOffset);
         afterRange.setEnd(this.activeElement, this.activeElement.childNodes.length);
         afterCursor = afterRange.toString();
+        // Range text has no line breaks between blocks; infill only looks at the caret's block
+        const block = this.getCaretBlock(range.startContainer);
+        const lineRange = document.createRange();
+        lineRange.setStart(range.endContainer, range.endOffset);
+        lineRange.setEnd(block, block.childNodes.length);
+        lineAfterCursor = lineRange.toString();
         
         fullText = this.activeElement.textContent || '';
       }
     }
     
-    // Get recent context window (last 200 chars before cursor)
+    // Recent text for language detection and phrase memory (last 200 chars before cursor);
+    // prompts get as much as the model's budget allows (buildBudgetedPrompt)
     const recentText = beforeCursor.slice(-200);
     
-    // If text is very long, summarize the earlier context but preserve structure
-    let processedBeforeCursor = beforeCursor;
-    if (beforeCursor.length > 1000 && this.summarizer) {
-      try {
-        const earlyContext = beforeCursor.slice(0, -500);
-        const recentContext = beforeCursor.slice(-500);
-        
-        const summary = await this.summarizer.summarize(earlyContext);
-        processedBeforeCursor = `[Earlier context: ${summary}]\n\n${recentContext}`;
-        console.log('[SmartAutocomplete] Used summarization for long context');
-      } catch (error) {
-        console.log('[SmartAutocomplete] Summarization failed, using truncated context:', error.message);
-        processedBeforeCursor = beforeCursor.slice(-800); // Fallback to simple truncation
-      }
-    }
-    
     return {
-      text: processedBeforeCursor, // For backward compatibility
+      text: beforeCursor, // For backward compatibility
       recentText: recentText,
-      beforeCursor: processedBeforeCursor,
+      beforeCursor: beforeCursor,
       afterCursor: afterCursor,
-      fullText: fullText
+      fullText: fullText,
+      infill: this.isInfillPoint(lineAfterCursor ?? afterCursor),
+      short: this.isShortCompletionField()
     };
   }
 
-  async createCompletionPrompt(contextData, language = 'en') {
-    const languageInstruction = language && language !== 'en' ? `Continue in ${language}.` : 'Continue in English.';
-    
-    // Extract website context for better completions
-    const websiteContext = await this.extractWebsiteContext();
-    const contextInfo = websiteContext ? `\n\nWebsite context: ${websiteContext}` : '';
-    
-    // Split context into before/after cursor for clearer completion
-    const beforeCursor = contextData.beforeCursor || contextData.text;
-    const afterCursor = contextData.afterCursor || '';
-    
-    // Show exactly where completion should happen using a marker
-    const completionPoint = `${beforeCursor}[CURSOR]${afterCursor}`;
-    
-    const toneHints = this.deriveToneHints(beforeCursor);
-    
-    return `You are a text continuation engine. Continue ONLY the text after [CURSOR].
-
-Current text: "${completionPoint}"${contextInfo}
-
-CRITICAL INSTRUCTIONS:
-- Output ONLY the continuation that should come after [CURSOR]
-- DO NOT repeat any text that appears before [CURSOR]
-- DO NOT answer questions, give advice, or address the user
-- ${languageInstruction}
-- Match the writing style and tone exactly${toneHints ? ` (hints: ${toneHints})` : ''}
-- Provide ${this.minSentences}-${this.maxSentences} sentences that flow naturally from the cursor position
-- If no continuation is appropriate, set accept: false and leave sentences empty
-
-Example:
-Text: "Hello, my name is John and I[CURSOR]"
-Good completion: " work as a software engineer."
-Bad completion: "Hello, my name is John and I work as a software engineer."
-
-Respond with JSON only containing:
-- accept: boolean (whether a continuation should be inserted)
-- confidence: number 0-1 (how confident you are)
-- sentences: array of 1-3 continuation sentences (only new text, no repetitions)`;
+  // Words follow the caret on its line: completions have to fill the gap, not continue
+  isInfillPoint(afterCursor) {
+    const line = (afterCursor || '').split('\n')[0];
+    return (line.match(/[\p{L}\p{N}]/gu) || []).length >= 2;
   }
 
-  cleanCompletionText(completion, contextData) {
-    if (!completion || !contextData) return completion;
-    
-    // Remove any accidental echo (even partial) of the cursor marker from the model
-    completion = this.stripCursorArtifacts(completion);
-
-    const beforeCursor = contextData.beforeCursor || '';
-    
-    // Robust overlap removal (case-insensitive, ignores punctuation/spacing)
-    completion = this.removeContextOverlap(beforeCursor, completion);
-    
-    // Also check for full sentence repetition patterns
-    const lastSentence = beforeCursor.match(/[^.!?]*$/)?.[0]?.trim();
-    if (lastSentence && completion.toLowerCase().startsWith(lastSentence.toLowerCase())) {
-      completion = completion.slice(lastSentence.length).trim();
+  // Nearest block-level ancestor of the caret inside the contenteditable host
+  getCaretBlock(node) {
+    let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    while (el && el !== this.activeElement && this.activeElement.contains(el)) {
+      if (!getComputedStyle(el).display.startsWith('inline')) return el;
+      el = el.parentElement;
     }
-    
-    // Remove leading punctuation that might be duplicated
-    completion = completion.replace(/^[,;:.!?]+\s*/, '');
-    
-    return completion;
+    return this.activeElement;
   }
 
-  // Remove overlap between the end of beforeCursor and the start of completion,
-  // matching case-insensitively and ignoring punctuation/extra spaces.
-  removeContextOverlap(beforeCursor, completion) {
-    const maxWindowChars = 120;
-    const before = (beforeCursor || '').slice(-maxWindowChars);
-    const comp = completion || '';
-
-    const lowerBefore = before.toLowerCase();
-    const lowerComp = comp.toLowerCase();
-
-    // 1) Direct longest suffix/prefix match (case-insensitive)
-    let directOverlap = 0;
-    const maxLen = Math.min(lowerBefore.length, lowerComp.length);
-    for (let i = maxLen; i > 0; i--) {
-      if (lowerBefore.slice(-i) === lowerComp.slice(0, i)) { directOverlap = i; break; }
-    }
-
-    // 2) Normalized (strip punctuation and condense spaces) longest match
-    const norm = (s) => s
-      .toLowerCase()
-      .replace(/[\s]+/g, ' ')
-      .replace(/[\u200B-\u200D\uFEFF]/g, '')
-      .replace(/[\,\.;:!\?\-\(\)\[\]\{\}\"\']/g, '')
-      .trim();
-    const normBefore = norm(before);
-    const normComp = norm(comp);
-    let normOverlap = 0;
-    const maxNorm = Math.min(normBefore.length, normComp.length);
-    for (let i = maxNorm; i > 0; i--) {
-      if (normBefore.slice(-i) === normComp.slice(0, i)) { normOverlap = i; break; }
-    }
-
-    // If normalized overlap is larger than direct, compute raw slice index by walking original completion
-    let sliceIndex = directOverlap;
-    if (normOverlap > directOverlap) {
-      let built = '';
-      let idx = 0;
-      while (idx < comp.length && norm(built).length < normOverlap) {
-        built += comp[idx];
-        idx++;
-      }
-      sliceIndex = Math.max(sliceIndex, idx);
-    }
+  async createCompletionPrompt(contextData, language = 'en') {
+    const options = this.getPromptOptions(language);
+    // Extract website context for better completions
+    const websiteContext = await this.extractWebsiteContext();
+    const toneHints = [options.tone, deriveToneHints(contextData.beforeCursor || contextData.text)].filter(Boolean).join(', ');
+    return this.buildBudgetedPrompt(contextData, { ...options, toneHints, websiteContext }, buildCompletionPrompt);
+  }
 
-    if (sliceIndex > 0) {
-      let out = comp.slice(sliceIndex).trimStart();
-      // Also remove leading punctuation leftovers
-      out = out.replace(/^[,;:.!?]+\s*/, '');
-      return out;
-    }
-    return comp;
+  // Final form of a candidate: continuations are capped by sentences, infill bridges are
+  // joined to the text after the caret instead
+  finalizeCompletion(text, contextData) {
+    const cleaned = cleanCompletionText(String(text || '').trim(), contextData);
+    if (contextData.infill) return joinInfill(cleaned, contextData);
+    const limits = this.getSentenceLimits();
+    return limitToSentenceRange(cleaned.trim(), limits.min, limits.max);
   }
 
-  getCurrentCursorPosition() {
+  // Current selection in the savedCursorPosition shape (see the constructor); collapse
+  // keeps only its start, so inserting there leaves the selected text alone
+  getCurrentCursorPosition({ collapse = false } = {}) {
     if (!this.activeElement) return null;
     
     if (this.activeElement.tagName === 'TEXTAREA' || this.activeElement.tagName === 'INPUT') {
-      return this.activeElement.selectionStart;
+      const start = this.activeElement.selectionStart;
+      if (start === null) return null; // no selection API (type=email)
+      return { start, end: collapse ? start : (this.activeElement.selectionEnd ?? start) };
     } else if (this.activeElement.isContentEditable) {
-      const selection = window.getSelection();
+      const selection = this.getSelection();
       if (selection.rangeCount > 0) {
         const range = selection.getRangeAt(0);
-        return { container: range.startContainer, offset: range.startOffset };
+        if (collapse) return { container: range.startContainer, offset: range.startOffset };
+        return { container: range.startContainer, offset: range.startOffset, endContainer: range.endContainer, endOffset: range.endOffset };
       }
     }
     return null;
@@ -654,21 +1744,10 @@ Respond with JSON only containing:
           .join(' ');
       }
       
-      // Combine and summarize if too long
-      let context = [title, description, headings, nearbyText]
+      // Combine; the prompt's token budget decides how much of it is used
+      const context = [title, description, headings, nearbyText]
         .filter(s => s && s.trim())
-        .join(' | ')
-        .slice(0, 500); // Limit total context length
-      
-      // Use summarizer if context is still very long
-      if (context.length > 300 && this.summarizer) {
-        try {
-          context = await this.summarizer.summarize(context);
-        } catch (error) {
-          console.log('[SmartAutocomplete] Website context summarization failed:', error.message);
-          context = context.slice(0, 200); // Fallback to truncation
-        }
-      }
+        .join(' | ');
       
       this._websiteContextCache = { value: context, ts: Date.now() };
       return context;
@@ -693,7 +1772,8 @@ Respond with JSON only containing:
             Math.pow(elRect.left + elRect.width / 2 - centerX, 2) +
             Math.pow(elRect.top + elRect.height / 2 - centerY, 2)
           );
-          return distance <= radius && el.textContent?.trim().length > 10;
+          // Never scrape text from (or around) sensitive fields
+          return distance <= radius && el.textContent?.trim().length > 10 && !this.containsSensitiveField(el);
         })
         .slice(0, 5); // Limit to 5 nearby elements
     } catch (error) {
@@ -717,19 +1797,6 @@ Respond with JSON only containing:
     );
   }
 
-  deriveToneHints(text) {
-    const recent = (text || '').slice(-300);
-    const hints = [];
-    // Simple heuristics for tone
-    if (/[!:]$/.test(recent) || /\b(please|thank you|appreciate)\b/i.test(recent)) hints.push('polite');
-    if (/[A-Z]{3,}/.test(recent)) hints.push('emphatic');
-    if (/\b(we|our)\b/i.test(recent)) hints.push('inclusive');
-    if (/\b(I|me|my)\b/.test(recent)) hints.push('first-person');
-    if (/\b(agenda|action items|next steps)\b/i.test(recent)) hints.push('concise');
-    if (/\b(?!I )[A-Z][a-z]+\b/.test(recent) && /\b(analysis|summary|overview)\b/i.test(recent)) hints.push('formal');
-    return hints.join(', ');
-  }
-
   handleCompletionResponse(response, language, contextData) {
     try {
       let result;
@@ -743,54 +1810,171 @@ Respond with JSON only containing:
       
       if (!result.accept || !result.sentences || result.sentences.length === 0) {
         this.showGhostText('No suitable completion found');
-        return;
+        return [];
       }
       
       if (result.confidence < 0.3) {
         let completion = result.sentences.join(' ').trim();
-        completion = this.cleanCompletionText(completion, contextData);
+        completion = cleanCompletionText(completion, contextData);
         if (!completion.trim()) {
           this.showGhostText('No suitable completion found');
-          return;
+          return [];
         }
         this.showGhostText('Low confidence completion (press Tab to accept): ' + completion, completion);
-        return;
+        this.markSuggestionShown();
+        return [];
       }
       
       // Join sentences and clean up any repetitive text
       let completion = result.sentences.join(' ').trim();
       
       // Remove any text that might be repeating from the context
-      completion = this.cleanCompletionText(completion, contextData);
+      completion = this.finalizeCompletion(completion, contextData);
       
       if (!completion.trim()) {
         this.showGhostText('No unique completion generated');
-        return;
+        return [];
       }
       
-      this.showGhostText(completion, completion);
+      const alternatives = (result.alternatives || []).map(alt => this.finalizeCompletion(alt, contextData));
+      const candidates = this.showCandidates([completion, ...alternatives]);
       
       console.log('[SmartAutocomplete] Generated completion:', { 
         confidence: result.confidence, 
         language: language, 
-        length: completion.length 
+        length: completion.length,
+        candidates: candidates.length
       });
+      return candidates;
       
     } catch (error) {
       console.error('[SmartAutocomplete] Failed to parse completion response:', error);
       this.showGhostText('Failed to parse AI response');
+      return [];
+    }
+  }
+
+  // Show the first of several candidate completions; returns the de-duplicated list
+  showCandidates(candidates, state = 'ready') {
+    if (this.isRequestStale()) {
+      this.clearGhostText();
+      return [];
+    }
+    const list = this.dedupeCandidates(candidates).slice(0, this.candidateCount);
+    if (!list.length) return list;
+    this.showGhostText(list[0], list[0], state);
+    this.markSuggestionShown();
+    this.candidates = list;
+    this.candidateIndex = 0;
+    this.renderCandidateIndicator();
+    return list;
+  }
+
+  dedupeCandidates(candidates) {
+    const seen = new Set();
+    return (candidates || []).filter(c => {
+      const key = (c || '').trim().toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  cycleCandidate(delta) {
+    if (this.candidates.length < 2) return;
+    const n = this.candidates.length;
+    this.candidateIndex = (this.candidateIndex + delta + n) % n;
+    this.updateGhostText(this.candidates[this.candidateIndex]);
+    this.positionGhostText();
+  }
+
+  // Append a "2/3" indicator to the ghost text when there are alternatives
+  renderCandidateIndicator() {
+    if (!this.ghostTextElement) return;
+    let indicator = this.ghostTextElement.querySelector('.smart-autocomplete-counter');
+    if (this.candidates.length < 2) {
+      if (indicator) indicator.remove();
+      return;
+    }
+    if (!indicator) {
+      indicator = document.createElement('span');
+      indicator.className = 'smart-autocomplete-counter';
+      indicator.setAttribute('title', `${this.keyBindings.previousSuggestion} / ${this.keyBindings.nextSuggestion} for other suggestions`);
+      // Keep the indicator right after the suggestion text (matters for inline rendering)
+      const host = this.ghostContentElement?.parentNode || this.ghostTextElement;
+      host.appendChild(indicator);
     }
+    indicator.textContent = `${this.candidateIndex + 1}/${this.candidates.length}`;
   }
 
-  async initializeModel() {
+  // Try each configured backend in order until one is ready. activated: the request comes
+  // with a user gesture in this page, which a model download needs
+  async initializeModel({ interactive = true, activated = interactive } = {}) {
     console.log('[SmartAutocomplete] Initializing AI model...');
-    
+    for (const backend of this.backendOrder) {
+      const ready = backend === 'http'
+        ? await this.initializeHttpBackend({ interactive })
+        : await this.initializeChromeBackend({ interactive, activated });
+      // A started download completes on its own; don't switch backends under it
+      if (ready || this.isDownloading) return;
+    }
+  }
+
+  // Automatic attempt after a failure (see ModelLifecycle.fail); never starts a download
+  retryModel() {
+    if (this.lifecycle.state !== 'failed') return;
+    console.log('[SmartAutocomplete] Retrying model initialization');
+    this.initializeModel({ interactive: false });
+  }
+
+  // Ready, or degraded when Chrome's helper APIs are missing (the local server never has them)
+  setModelReady(detail) {
+    const missing = detail.backend === 'chrome'
+      ? [['Summarizer', this.summarizer], ['LanguageDetector', this.languageDetector]].filter(([, api]) => !api).map(([name]) => name)
+      : [];
+    this.lifecycle.transition(missing.length ? 'degraded' : 'ready', { ...detail, missing });
+  }
+
+  // Local server reached through the background worker (no page CORS/CSP in the way)
+  async initializeHttpBackend({ interactive = true } = {}) {
+    const backend = { type: 'http', url: this.httpBackend.url, model: this.httpBackend.model };
+    const client = await BackgroundModelClient.connect(this.getSessionOptions(), backend, () => this.getFieldSessionInfo());
+    if (!client) {
+      const message = 'Local model server unavailable: ' + (BackgroundModelClient.lastError || 'no response');
+      this.lifecycle.fail(message, () => this.retryModel());
+      if (interactive) this.showGhostText(message, null, 'error');
+      return false;
+    }
+    this.languageModel = client.languageModel;
+    this.summarizer = null;
+    this.languageDetector = null;
+    this.activeBackend = 'http';
+    this.setModelReady({ shared: true, backend: 'http' });
+    console.log('[SmartAutocomplete] Using local model server:', this.httpBackend.url, this.httpBackend.model);
+    return true;
+  }
+
+  async initializeChromeBackend({ interactive = true, activated = interactive } = {}) {
     try {
+      // Prefer the shared sessions owned by the background service worker
+      const client = await BackgroundModelClient.connect(this.getSessionOptions(), null, () => this.getFieldSessionInfo());
+      if (client) {
+        this.languageModel = client.languageModel;
+        this.summarizer = client.summarizer;
+        this.languageDetector = client.languageDetector;
+        this.activeBackend = 'chrome';
+        this.setModelReady({ shared: true, backend: 'chrome' });
+        console.log('[SmartAutocomplete] Using shared background model session');
+        return true;
+      }
+
+      // Per-tab fallback: the worker is unavailable or the model still needs a download
       // Check if Built-in AI APIs are available
       if (!('LanguageModel' in self)) {
         console.error('[SmartAutocomplete] LanguageModel API not available');
+        this.lifecycle.transition('unavailable', { error: 'LanguageModel API not available in this browser' });
         this.showGhostText('AI not available in this browser version');
-        return;
+        return false;
       }
 
       // Check availability first
@@ -799,49 +1983,65 @@ Respond with JSON only containing:
 
       if (availability === 'unavailable') {
         console.warn('[SmartAutocomplete] Built-in AI not available on this device/browser');
+        this.lifecycle.transition('unavailable');
         this.showGhostText('Built-in AI not supported. Need Chrome Canary ≥128 with flags enabled.');
-        return;
+        return false;
+      }
+
+      if (availability === 'downloading') {
+        // Download already in progress (another tab, or the browser itself)
+        this.waitForDownload();
+        if (interactive) this.showGhostText('AI model downloading… (can take 10-20+ minutes, please wait)');
+        return false;
+      }
+
+      // Background (as-you-type) requests only use a model that is already on device
+      if (!interactive && availability !== 'available') {
+        return false;
       }
 
       if (availability === 'downloadable') {
         // Model needs to be downloaded - requires user activation
         console.log('[SmartAutocomplete] Model needs download, checking user activation...');
         
-        if (!navigator.userActivation || !navigator.userActivation.isActive) {
+        if (!activated || !navigator.userActivation || !navigator.userActivation.isActive) {
           console.warn('[SmartAutocomplete] User activation required for model download');
-          this.showGhostText('Click to download AI model (requires user interaction)');
-          return;
+          // Arms the download on the next click or key press (see setupModelLifecycle)
+          this.lifecycle.transition('downloadable', { needsActivation: true });
+          this.showGhostText(activated
+            ? 'Click to download AI model (requires user interaction)'
+            : 'The AI model needs a download: it starts on your next click or key press in the page');
+          return false;
         }
         
-        this.isDownloading = true;
+        this.lifecycle.transition('downloading', { progress: 0 });
         this.showGhostText('Downloading AI model… (10-20+ minutes first time - please be patient!)');
-      } else if (availability === 'downloading') {
-        // Download already in progress
-        this.isDownloading = true;
-        this.showGhostText('AI model downloading… (can take 10-20+ minutes, please wait)');
-        return;
       }
 
       // Create the model session (downloads automatically if needed)
-      const createOptions = {
-        initialPrompts: [{role: 'system', content: 'You are an on-device text continuation engine. You ONLY generate the next part of the user\'s text after a [CURSOR] marker. Never answer questions, never address the user, never explain your reasoning, and never repeat text that appears before [CURSOR]. Match the detected language, tone, and style. If no continuation is appropriate, you output nothing (or accept: false when structured output is requested).'}],
-        temperature: 0.3,
-        topK: 3,
-        language: 'en'
-      };
+      const createOptions = this.getSessionOptions();
 
-      // Add monitor for download progress if downloadable/downloading
-      if (availability === 'downloadable' || availability === 'downloading') {
-        createOptions.monitor = (monitorReport) => {
-          console.log('[SmartAutocomplete] Download progress:', monitorReport);
-          if (monitorReport.loaded && monitorReport.total) {
-            const progress = Math.round((monitorReport.loaded / monitorReport.total) * 100);
-            this.showGhostText(`Downloading AI model… ${progress}%`);
-          }
+      // Add monitor for download progress
+      if (availability === 'downloadable') {
+        // The monitor receives an event target that fires downloadprogress with loaded as a
+        // fraction (total 1)
+        createOptions.monitor = (monitor) => {
+          monitor.addEventListener('downloadprogress', (event) => {
+            console.log('[SmartAutocomplete] Download progress:', event.loaded, event.total);
+            if (!event.total) return;
+            this.lifecycle.transition('downloading', { progress: Math.round((event.loaded / event.total) * 100) });
+          });
         };
       }
 
-      this.languageModel = await LanguageModel.create(createOptions);
+      // Requests run on per-field clones of this base session (src/field-sessions.js); when
+      // the base fails or overflows it is created again, without the download monitor
+      const fieldSessions = new FieldSessionManager(() => LanguageModel.create(this.getSessionOptions()), {
+        base: await LanguageModel.create(createOptions),
+        // topK comes from the session options: Chrome takes the two only together
+        createSession: (sampling) => LanguageModel.create({ ...this.getSessionOptions(), ...sampling })
+      });
+      this.languageModel = fieldSessions.languageModel(() => this.getFieldSessionInfo());
       
       // Initialize other APIs too
       try {
@@ -862,19 +2062,100 @@ Respond with JSON only containing:
         console.log('[SmartAutocomplete] LanguageDetector not available:', error.message);
       }
       
-      this.isModelReady = true;
-      this.isDownloading = false;
+      this.activeBackend = 'chrome';
+      this.setModelReady({ shared: false, backend: 'chrome' });
       
       console.log('[SmartAutocomplete] All AI models ready!');
       this.showGhostText('🎉 Full Chrome Built-in AI ready! LanguageModel + Summarizer + LanguageDetector working on ARM64!');
+      return true;
       
     } catch (error) {
       console.error('[SmartAutocomplete] Failed to initialize model:', error);
+      this.lifecycle.fail('Failed to initialize AI model: ' + error.message, () => this.retryModel());
       this.showGhostText('Failed to initialize AI model');
-      this.isDownloading = false;
+      return false;
+    }
+  }
+
+  // Poll a download this tab didn't start; once the model is on device, load it
+  waitForDownload() {
+    if (this.isDownloading) return;
+    this.lifecycle.transition('downloading', { progress: null });
+    this.lifecycle.poll(async () => {
+      let availability;
+      try {
+        availability = await LanguageModel.availability();
+      } catch (e) {
+        return; // ask again next time
+      }
+      if (availability === 'available') {
+        console.log('[SmartAutocomplete] Model download finished');
+        this.lifecycle.transition('unknown');
+        await this.initializeModel({ interactive: false });
+      } else if (availability === 'downloadable') {
+        // Download cancelled: the next click or key press starts it again
+        this.lifecycle.transition('downloadable', { needsActivation: true });
+      } else if (availability === 'unavailable') {
+        this.lifecycle.transition('unavailable');
+      }
+    });
+  }
+
+  // After a failed request: a local server may have stopped, so backend selection runs
+  // again; a destroyed session (the model was unloaded or updated) is loaded again after
+  // a backoff
+  handleModelError(error) {
+    if (this.activeBackend === 'http') {
+      this.resetModel();
+    } else if (error?.name === 'InvalidStateError') {
+      // Not a reset: repeated losses keep counting towards the backoff
+      this.dropModel();
+      this.lifecycle.fail('Model session lost: ' + error.message, () => this.retryModel());
+    }
+  }
+
+  // Forget the current backend so the next trigger runs backend selection again
+  resetModel() {
+    if (this.isDownloading) return;
+    this.dropModel();
+    this.lifecycle.reset();
+  }
+
+  // Destroy the sessions and forget the backend, leaving the lifecycle state to the caller
+  dropModel() {
+    try {
+      this.languageModel?.destroy?.();
+    } catch (e) {
+      // ignore
+    }
+    this.languageModel = null;
+    this.summarizer = null;
+    this.languageDetector = null;
+    this.activeBackend = null;
+  }
+
+  // Tell the background worker (toolbar popup and badge) about model/site state changes
+  reportStatus(status) {
+    try {
+      if (!chrome?.runtime?.id) return;
+      chrome.runtime.sendMessage({ source: 'smart-autocomplete', type: 'status', status }, () => {
+        void chrome.runtime.lastError; // worker may be asleep or reloading
+      });
+    } catch (e) {
+      // ignore
     }
   }
 
+  // LanguageModel.create options, shared by the per-tab and background sessions
+  getSessionOptions() {
+    return {
+      initialPrompts: [{role: 'system', content: 'You are an on-device text continuation engine. You ONLY generate the next part of the user\'s text after a [CURSOR] marker. Never answer questions, never address the user, never explain your reasoning, and never repeat text that appears before [CURSOR]. Match the detected language, tone, and style. If no continuation is appropriate, you output nothing (or accept: false when structured output is requested).'}],
+      temperature: 0.3,
+      topK: 3,
+      language: 'en'
+    };
+  }
+
   showPlaceholderGhostText() {
     if (this.isDownloading) {
       this.showGhostText('Downloading model…');
@@ -894,18 +2175,20 @@ Respond with JSON only containing:
     if (demoSuggestions) {
       this.showGhostText(demoSuggestions + ' (Demo mode - Chrome Built-in AI not available)', null, 'ready');
     } else {
-      this.showGhostText('Chrome Built-in AI not available. See SETUP-CHROME-AI.md for setup instructions.', null, 'error');
+      this.showGhostText('Chrome Built-in AI not available. Set up a local model server under Options → Model Backend, or see SETUP-CHROME-AI.md.', null, 'error');
     }
   }
 
   getCurrentText() {
     if (!this.activeElement) return '';
+    const edited = this.editor?.read();
+    if (edited) return edited.before.slice(-100);
     
     if (this.activeElement.tagName === 'TEXTAREA' || this.activeElement.tagName === 'INPUT') {
       const cursorPos = this.activeElement.selectionStart;
       return this.activeElement.value.substring(Math.max(0, cursorPos - 100), cursorPos);
     } else if (this.activeElement.isContentEditable) {
-      const selection = window.getSelection();
+      const selection = this.getSelection();
       if (selection.rangeCount > 0) {
         const range = selection.getRangeAt(0);
         const textNode = range.startContainer;
@@ -944,23 +2227,51 @@ Respond with JSON only containing:
   }
 
   showGhostText(displayText, completionText = null, state = 'ready') {
+    // A status message in between must not lose where the suggestion goes
+    const saved = this.savedCursorPosition;
+    const shown = this._shownSuggestion;
     this.clearGhostText();
+    this.savedCursorPosition = saved;
+    // Replacing a shown suggestion with another (model results behind a local one) is still one
+    if (completionText !== null) this._shownSuggestion = shown;
     
     if (!this.activeElement) return;
+    // As-you-type requests only ever show suggestions, never status or error messages
+    if (this._autoRequest && completionText === null) return;
+
+    // Store the actual completion text separately
+    this.currentCompletion = completionText || displayText;
+
+    // Suggestions render in-flow at the caret; status messages always use the popup
+    if (this.shouldRenderInline(completionText, state) && this.showInlineGhostText(completionText, state)) {
+      return;
+    }
 
     this.ghostTextElement = document.createElement('div');
     this.ghostTextElement.className = 'smart-autocomplete-ghost';
-    this.ghostTextElement.textContent = displayText;
     this.ghostTextElement.setAttribute('data-extension', 'smart-autocomplete');
     this.ghostTextElement.setAttribute('role', 'status');
     this.ghostTextElement.setAttribute('aria-live', 'polite');
     this.ghostTextElement.setAttribute('data-state', state);
+    this.ghostContentElement = document.createElement('span');
+    this.ghostContentElement.textContent = displayText;
+    if (this._infillContext && completionText !== null) {
+      // Show the neighbouring words so it's clear the suggestion goes in between
+      const around = (text) => {
+        const span = document.createElement('span');
+        span.className = 'smart-autocomplete-infill-context';
+        span.textContent = text;
+        return span;
+      };
+      this.ghostTextElement.setAttribute('data-infill', 'true');
+      this.ghostContentElement.className = 'smart-autocomplete-infill-text';
+      this.ghostTextElement.append(around('…' + this._infillContext.before), this.ghostContentElement, around(this._infillContext.after + '…'));
+    } else {
+      this.ghostTextElement.appendChild(this.ghostContentElement);
+    }
     // Prepare for accurate measurement and ensure top stacking
     this.ghostTextElement.style.visibility = 'hidden';
     this.ghostTextElement.style.zIndex = '2147483647';
-    
-    // Store the actual completion text separately
-    this.currentCompletion = completionText || displayText;
 
     // Append first, then position based on measured size
     document.body.appendChild(this.ghostTextElement);
@@ -968,10 +2279,164 @@ Respond with JSON only containing:
     this.ghostTextElement.style.visibility = '';
   }
 
+  shouldRenderInline(completionText, state) {
+    return this.displayMode === 'inline' && completionText !== null && (state === 'ready' || state === 'streaming') &&
+      this.editor?.inlineGhost !== false &&
+      // The overlay can't move the text after the caret aside; it would cover it
+      !this._infillContext;
+  }
+
+  // Render the suggestion after the caret in an overlay outside the field, so nothing is
+  // added to the page's content: a mirror of the text for textarea/input, a box starting at
+  // the caret for contenteditable. Returns false to fall back to the popup.
+  showInlineGhostText(text, state) {
+    try {
+      const wrapper = document.createElement('span');
+      wrapper.className = 'smart-autocomplete-inline';
+      wrapper.setAttribute('data-extension', 'smart-autocomplete');
+      wrapper.setAttribute('role', 'status');
+      wrapper.setAttribute('aria-live', 'polite');
+      const content = document.createElement('span');
+      content.className = 'smart-autocomplete-inline-text';
+      content.textContent = text || '';
+      wrapper.appendChild(content);
+
+      const isField = this.activeElement.tagName === 'TEXTAREA' || this.activeElement.tagName === 'INPUT';
+      if (!isField && !(this.activeElement.isContentEditable && this.getCaretViewportRect(this.activeElement))) return false;
+      const overlay = document.createElement('div');
+      overlay.className = 'smart-autocomplete-overlay';
+      overlay.setAttribute('data-extension', 'smart-autocomplete');
+      overlay.setAttribute('data-state', state);
+      if (isField) overlay.append(document.createTextNode(''), wrapper, document.createTextNode(''));
+      else overlay.append(wrapper);
+      this.ghostTextElement = overlay;
+      this.ghostContentElement = content;
+      document.body.appendChild(overlay);
+      this.positionGhostText();
+
+      // Follow the field's own scrolling
+      this._inlineScrollTarget = this.activeElement;
+      this._inlineScrollHandler = () => this.positionGhostText();
+      this.activeElement.addEventListener('scroll', this._inlineScrollHandler, { passive: true });
+      return true;
+    } catch (error) {
+      console.log('[SmartAutocomplete] Inline rendering failed, using popup:', error.message);
+      // Tear down only the partial inline ghost; clearGhostText would also cancel generation
+      if (this.ghostTextElement) {
+        this.removeInlineGhost();
+        this.ghostTextElement.remove();
+      }
+      this.ghostTextElement = null;
+      this.ghostContentElement = null;
+    }
+    return false;
+  }
+
+  isInlineOverlayGhost() {
+    return !!this.ghostTextElement && this.ghostTextElement.classList.contains('smart-autocomplete-overlay');
+  }
+
+  // Keep the overlay aligned with the field: geometry, text up to the caret, scroll
+  syncInlineOverlay() {
+    const field = this.activeElement;
+    const overlay = this.ghostTextElement;
+    if (field.isContentEditable) {
+      this.syncCaretOverlay(field, overlay);
+      return;
+    }
+    const value = String(field.value || '');
+    const caret = typeof this.savedCursorPosition?.start === 'number' ? this.savedCursorPosition.start : (field.selectionStart ?? value.length);
+    overlay.firstChild.textContent = value.slice(0, caret);
+    overlay.lastChild.textContent = value.slice(caret);
+
+    const rect = field.getBoundingClientRect();
+    const cs = getComputedStyle(field);
+    const isFixed = this.isElementFixed(field);
+    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
+    const vLeft = rect.left + field.clientLeft;
+    const vTop = rect.top + field.clientTop;
+
+    overlay.style.position = isFixed ? 'fixed' : 'absolute';
+    overlay.style.left = (isFixed ? vLeft : (scrollLeft + vLeft)) + 'px';
+    overlay.style.top = (isFixed ? vTop : (scrollTop + vTop)) + 'px';
+    // clientWidth/Height exclude borders and scrollbars, include padding
+    overlay.style.width = field.clientWidth + 'px';
+    overlay.style.height = field.clientHeight + 'px';
+    overlay.style.padding = cs.paddingTop + ' ' + cs.paddingRight + ' ' + cs.paddingBottom + ' ' + cs.paddingLeft;
+    this.copyTextStyles(field, overlay);
+    if (field.tagName === 'INPUT') {
+      // Single line, vertically centred like the native input
+      overlay.style.whiteSpace = 'pre';
+      const innerHeight = field.clientHeight - parseFloat(cs.paddingTop) - parseFloat(cs.paddingBottom);
+      overlay.style.lineHeight = Math.max(0, innerHeight) + 'px';
+    } else {
+      overlay.style.whiteSpace = 'pre-wrap';
+    }
+    overlay.scrollTop = field.scrollTop;
+    overlay.scrollLeft = field.scrollLeft;
+  }
+
+  // Contenteditable: the overlay covers the content box from the caret's line down, with
+  // its first line indented to the caret, so the suggestion wraps like the content would
+  syncCaretOverlay(field, overlay) {
+    const caret = this.getCaretViewportRect(field);
+    if (!caret) return;
+    const rect = field.getBoundingClientRect();
+    const cs = getComputedStyle(field);
+    const isFixed = this.isElementFixed(field);
+    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
+    const contentLeft = rect.left + field.clientLeft + parseFloat(cs.paddingLeft || 0);
+    const contentWidth = field.clientWidth - parseFloat(cs.paddingLeft || 0) - parseFloat(cs.paddingRight || 0);
+    const bottom = rect.top + field.clientTop + field.clientHeight;
+
+    overlay.style.position = isFixed ? 'fixed' : 'absolute';
+    overlay.style.left = (isFixed ? contentLeft : (scrollLeft + contentLeft)) + 'px';
+    overlay.style.top = (isFixed ? caret.top : (scrollTop + caret.top)) + 'px';
+    overlay.style.width = Math.max(0, contentWidth) + 'px';
+    overlay.style.height = Math.max(0, bottom - caret.top) + 'px';
+    overlay.style.padding = '0';
+    overlay.style.whiteSpace = 'pre-wrap';
+    // Typography of the text at the caret (a bold or code span), not of the whole field
+    const node = this.getSelection()?.focusNode;
+    const styled = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    this.copyTextStyles(styled && field.contains(styled) ? styled : field, overlay);
+    overlay.style.textAlign = 'left';
+    overlay.style.textIndent = Math.max(0, caret.left - contentLeft) + 'px';
+  }
+
+  // Typography that affects where text wraps
+  copyTextStyles(source, target) {
+    const cs = getComputedStyle(source);
+    target.style.fontFamily = cs.fontFamily;
+    target.style.fontSize = cs.fontSize;
+    target.style.fontWeight = cs.fontWeight;
+    target.style.fontStyle = cs.fontStyle;
+    target.style.lineHeight = cs.lineHeight;
+    target.style.letterSpacing = cs.letterSpacing;
+    target.style.wordSpacing = cs.wordSpacing;
+    target.style.tabSize = cs.tabSize || '4';
+    target.style.textAlign = cs.textAlign;
+    target.style.textIndent = cs.textIndent;
+    target.style.textTransform = cs.textTransform;
+    target.style.direction = cs.direction;
+  }
+
+  removeInlineGhost() {
+    if (this._inlineScrollTarget && this._inlineScrollHandler) {
+      this._inlineScrollTarget.removeEventListener('scroll', this._inlineScrollHandler);
+    }
+    this._inlineScrollTarget = null;
+    this._inlineScrollHandler = null;
+  }
+
   updateGhostText(text) {
     if (!this.ghostTextElement) return;
-    this.ghostTextElement.textContent = text;
+    (this.ghostContentElement || this.ghostTextElement).textContent = text;
     this.currentCompletion = text;
+    this.renderCandidateIndicator();
+    if (this.isInlineOverlayGhost()) this.positionGhostText();
   }
 
   setGhostState(state) {
@@ -983,10 +2448,13 @@ Respond with JSON only containing:
   async loadSitePreference() {
     try {
       if (!chrome?.storage?.local) return;
-      const host = location.hostname;
-      chrome.storage.local.get(['site_prefs'], (data) => {
+      const host = this.siteHost;
+      chrome.storage.local.get(['site_prefs', 'site_autosuggest'], (data) => {
         const prefs = data?.site_prefs || {};
         this.siteEnabled = prefs[host] !== false; // default enabled
+        this.reportStatus({ siteEnabled: this.siteEnabled });
+        const autoPrefs = data?.site_autosuggest || {};
+        this.siteAutoSuggest = typeof autoPrefs[host] === 'boolean' ? autoPrefs[host] : null;
       });
     } catch (e) {
       console.log('[SmartAutocomplete] Failed to load site preference:', e.message);
@@ -997,7 +2465,7 @@ Respond with JSON only containing:
   async toggleSitePreference() {
     try {
       if (!chrome?.storage?.local) return;
-      const host = location.hostname;
+      const host = this.siteHost;
       chrome.storage.local.get(['site_prefs'], (data) => {
         const prefs = data?.site_prefs || {};
         const current = prefs[host] !== false;
@@ -1005,6 +2473,7 @@ Respond with JSON only containing:
         prefs[host] = next;
         chrome.storage.local.set({ site_prefs: prefs }, () => {
           this.siteEnabled = next;
+          this.reportStatus({ siteEnabled: next });
           this.showGhostText(next ? 'Enabled autocomplete on this site' : 'Disabled autocomplete on this site', null, next ? 'ready' : 'error');
           setTimeout(() => this.clearGhostText(), 1200);
         });
@@ -1014,8 +2483,36 @@ Respond with JSON only containing:
     }
   }
 
+  async toggleSiteAutoSuggest() {
+    try {
+      if (!chrome?.storage?.local) return;
+      const host = this.siteHost;
+      chrome.storage.local.get(['site_autosuggest'], (data) => {
+        const prefs = data?.site_autosuggest || {};
+        const next = !this.isAutoSuggestEnabled();
+        prefs[host] = next;
+        chrome.storage.local.set({ site_autosuggest: prefs }, () => {
+          this.siteAutoSuggest = next;
+          this.showGhostText(next ? 'As-you-type suggestions on for this site' : 'As-you-type suggestions off for this site', null, next ? 'ready' : 'error');
+          setTimeout(() => this.clearGhostText(), 1200);
+        });
+      });
+    } catch (e) {
+      console.log('[SmartAutocomplete] Failed to toggle as-you-type preference:', e.message);
+    }
+  }
+
   positionGhostText() {
     if (!this.ghostTextElement || !this.activeElement) return;
+    if (this.isInlineOverlayGhost()) {
+      this.syncInlineOverlay();
+      return;
+    }
+    this.positionPopup(this.ghostTextElement);
+  }
+
+  // Place a floating box (suggestion popup, rewrite palette) below the caret, inside the viewport
+  positionPopup(popup) {
     const inputRect = this.activeElement.getBoundingClientRect();
     const caretRect = this.getCaretViewportRect(this.activeElement) || inputRect;
     const isFixed = this.isElementFixed(this.activeElement);
@@ -1023,7 +2520,7 @@ Respond with JSON only containing:
     const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
 
     // Choose positioning mode based on ancestor positioning
-    this.ghostTextElement.style.position = isFixed ? 'fixed' : 'absolute';
+    popup.style.position = isFixed ? 'fixed' : 'absolute';
 
     // Target viewport coordinates (independent of scroll)
     let vLeft = caretRect.left;
@@ -1033,13 +2530,13 @@ Respond with JSON only containing:
     const vw = document.documentElement.clientWidth;
     const vh = document.documentElement.clientHeight;
     const maxWidth = Math.min(400, Math.max(140, vw - vLeft - 8));
-    this.ghostTextElement.style.width = maxWidth + 'px';
-    this.ghostTextElement.style.left = (isFixed ? vLeft : (scrollLeft + vLeft)) + 'px';
-    this.ghostTextElement.style.top = (isFixed ? vTop : (scrollTop + vTop)) + 'px';
-    this.ghostTextElement.style.zIndex = '2147483647';
+    popup.style.width = maxWidth + 'px';
+    popup.style.left = (isFixed ? vLeft : (scrollLeft + vLeft)) + 'px';
+    popup.style.top = (isFixed ? vTop : (scrollTop + vTop)) + 'px';
+    popup.style.zIndex = '2147483647';
 
     // Measure and clamp into the viewport, and place above if no room below
-    const ghostRect = this.ghostTextElement.getBoundingClientRect();
+    const ghostRect = popup.getBoundingClientRect();
 
     // Horizontal clamping
     if (ghostRect.right > vw - 4) {
@@ -1058,22 +2555,27 @@ Respond with JSON only containing:
     }
 
     // Apply clamped coordinates
-    this.ghostTextElement.style.left = (isFixed ? vLeft : (scrollLeft + vLeft)) + 'px';
-    this.ghostTextElement.style.top = (isFixed ? vTop : (scrollTop + vTop)) + 'px';
+    popup.style.left = (isFixed ? vLeft : (scrollLeft + vLeft)) + 'px';
+    popup.style.top = (isFixed ? vTop : (scrollTop + vTop)) + 'px';
   }
 
   getCaretViewportRect(element) {
     try {
       if (!element) return null;
+      if (this.editor && element === this.activeElement) return this.editor.caretRect();
       if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
         return this.getTextareaCaretRect(element);
       }
       if (element.isContentEditable) {
-        const selection = window.getSelection();
+        const selection = this.getSelection();
         if (selection && selection.rangeCount > 0) {
           const range = selection.getRangeAt(0).cloneRange();
           range.collapse(true);
-          // Insert a temporary marker to get stable rect even at line ends
+          // A collapsed range inside text has a rect of its own; measure it without
+          // touching the page's DOM
+          const own = typeof range.getClientRects === 'function' ? range.getClientRects()[0] : null;
+          if (own && own.height > 0) return own;
+          // Otherwise (empty lines, element boundaries) a temporary marker gives a stable rect
           const marker = document.createElement('span');
           marker.appendChild(document.createTextNode('\u200b'));
           range.insertNode(marker);
@@ -1109,15 +2611,7 @@ Respond with JSON only containing:
       mirror.style.padding = cs.paddingTop + ' ' + cs.paddingRight + ' ' + cs.paddingBottom + ' ' + cs.paddingLeft;
       mirror.style.border = '0';
       mirror.style.outline = '0';
-      mirror.style.fontFamily = cs.fontFamily;
-      mirror.style.fontSize = cs.fontSize;
-      mirror.style.fontWeight = cs.fontWeight;
-      mirror.style.fontStyle = cs.fontStyle;
-      mirror.style.lineHeight = cs.lineHeight;
-      mirror.style.letterSpacing = cs.letterSpacing;
-      mirror.style.tabSize = cs.tabSize || '4';
-      mirror.style.textAlign = cs.textAlign;
-      mirror.style.direction = cs.direction;
+      this.copyTextStyles(textarea, mirror);
 
       // Build content up to caret
       // Preserve spaces and newlines similar to the textarea
@@ -1148,7 +2642,8 @@ Respond with JSON only containing:
       while (el && el !== document.body) {
         const style = getComputedStyle(el);
         if (style.position === 'fixed') return true;
-        el = el.parentElement;
+        // Continue from a shadow root to its host
+        el = el.parentElement || el.parentNode?.host || null;
       }
     } catch (_) {
       // ignore
@@ -1160,89 +2655,383 @@ Respond with JSON only containing:
     return this.ghostTextElement && document.contains(this.ghostTextElement);
   }
 
+  isRewritePreview() {
+    return !!this.ghostTextElement && this.ghostTextElement.getAttribute('data-state') === 'rewrite';
+  }
+
+  // Selected text in the active field ('' when collapsed or when the editor can't rewrite)
+  getSelectedText() {
+    const element = this.activeElement;
+    if (!element) return '';
+    if (this.editor) return typeof this.editor.selectedText === 'function' ? this.editor.selectedText() : '';
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      const { selectionStart: start, selectionEnd: end } = element;
+      return start === null || start === end ? '' : element.value.slice(start, end);
+    }
+    const selection = this.getSelection();
+    if (!selection || selection.rangeCount === 0) return '';
+    const range = selection.getRangeAt(0);
+    return element.contains(range.commonAncestorContainer) ? range.toString() : '';
+  }
+
+  // Command palette for the selected text. Keys go to the palette while it is open (typing
+  // filters, e.g. "to italian"), so focus and selection stay in the field.
+  openRewritePalette() {
+    this.closeRewritePalette();
+    if (!this.activeElement || !this.isTextInput(this.activeElement) || this.isSensitiveField(this.activeElement)) return;
+    if (!this.siteEnabled) {
+      this.showGhostText(`Autocomplete is disabled on this site (${this.keyBindings.toggleSite} to enable)`, null, 'error');
+      return;
+    }
+    const selected = this.getSelectedText();
+    if (!selected.trim()) {
+      this.showRewriteStatus(this.editor && typeof this.editor.selectedText !== 'function'
+        ? 'Rewriting isn\'t supported in this editor'
+        : 'Select the text to rewrite first', 'error');
+      setTimeout(() => this.clearGhostText(), 1500);
+      return;
+    }
+    this.clearGhostText();
+    this.savedCursorPosition = this.getCurrentCursorPosition();
+    this._rewrite = { original: selected };
+    this._palette = { query: '', index: 0, items: [] };
+
+    const palette = document.createElement('div');
+    palette.className = 'smart-autocomplete-ghost smart-autocomplete-palette';
+    palette.setAttribute('data-extension', 'smart-autocomplete');
+    palette.setAttribute('data-state', 'ready');
+    palette.setAttribute('role', 'listbox');
+    palette.style.visibility = 'hidden';
+    this.paletteElement = palette;
+    this.renderRewritePalette();
+    document.body.appendChild(palette);
+    this.positionPopup(palette);
+    palette.style.visibility = '';
+  }
+
+  closeRewritePalette() {
+    if (!this.paletteElement) return;
+    this.paletteElement.remove();
+    this.paletteElement = null;
+    this._palette = null;
+  }
+
+  getRewriteItems(query) {
+    const translate = (language) => ({ id: 'translate', label: `Translate to ${language}`, instruction: `translate it into ${language}` });
+    let pageLanguage = null;
+    try {
+      pageLanguage = new Intl.DisplayNames(['en'], { type: 'language' }).of(navigator.language.split('-')[0]);
+    } catch (e) {
+      // ignore
+    }
+    const items = [...REWRITE_ACTIONS, ...[...new Set(['English', pageLanguage].filter(Boolean))].map(translate)];
+    const q = query.trim().toLowerCase();
+    if (!q) return items;
+    const matching = items.filter(item => item.label.toLowerCase().includes(q));
+    // "to italian" / "translate to italian": any language the user types
+    const typed = q.match(/^(?:translate\s+)?(?:in)?to\s+(\S.*)$/);
+    if (typed && !matching.some(item => item.label.toLowerCase() === `translate to ${typed[1]}`)) {
+      matching.unshift(translate(typed[1].replace(/\b\p{L}/gu, ch => ch.toUpperCase())));
+    }
+    return matching;
+  }
+
+  renderRewritePalette() {
+    const palette = this.paletteElement;
+    const state = this._palette;
+    if (!palette || !state) return;
+    state.items = this.getRewriteItems(state.query);
+    state.index = Math.min(state.index, Math.max(0, state.items.length - 1));
+    palette.textContent = '';
+    const header = document.createElement('div');
+    header.className = 'smart-autocomplete-palette-query';
+    header.textContent = state.query || 'Rewrite selection (type to filter, e.g. "to Italian")';
+    palette.appendChild(header);
+    state.items.forEach((item, i) => {
+      const row = document.createElement('div');
+      row.className = 'smart-autocomplete-palette-item';
+      row.setAttribute('role', 'option');
+      row.setAttribute('aria-selected', String(i === state.index));
+      row.textContent = item.label;
+      row.addEventListener('mousedown', (event) => {
+        event.preventDefault(); // keep focus and selection in the field
+        this.runRewrite(item);
+      });
+      palette.appendChild(row);
+    });
+    if (!state.items.length) {
+      const empty = document.createElement('div');
+      empty.className = 'smart-autocomplete-palette-item';
+      empty.textContent = 'No matching action';
+      palette.appendChild(empty);
+    }
+  }
+
+  handlePaletteKey(event) {
+    const state = this._palette;
+    const consume = () => {
+      event.preventDefault();
+      event.stopPropagation();
+    };
+    if (event.key === 'Escape') {
+      consume();
+      this.closeRewritePalette();
+    } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      consume();
+      const count = state.items.length;
+      if (count) state.index = (state.index + (event.key === 'ArrowDown' ? 1 : -1) + count) % count;
+      this.renderRewritePalette();
+    } else if (event.key === 'Enter') {
+      consume();
+      const item = state.items[state.index];
+      if (item) this.runRewrite(item);
+    } else if (event.key === 'Backspace') {
+      consume();
+      state.query = state.query.slice(0, -1);
+      state.index = 0;
+      this.renderRewritePalette();
+    } else if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+      consume();
+      state.query += event.key;
+      state.index = 0;
+      this.renderRewritePalette();
+    } else if (!['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) {
+      // Anything else (Tab, caret movement, shortcuts) closes the palette and reaches the page
+      this.closeRewritePalette();
+    }
+  }
+
+  // Status in the preview box that Tab must never insert over the selection
+  showRewriteStatus(message, state) {
+    this.showGhostText(message, null, state);
+    this.currentCompletion = null;
+  }
+
+  async runRewrite(action) {
+    const original = this._rewrite?.original;
+    this.closeRewritePalette();
+    if (!original || !this.activeElement) return;
+    if (!this.isModelReady && !this.isDownloading) {
+      await this.initializeModel({ interactive: true });
+    }
+    if (!this.isModelReady || !this.languageModel) {
+      if (this.isDownloading) this.showPlaceholderGhostText();
+      return;
+    }
+
+    this._requestTrigger = 'rewrite';
+    this.recordMetrics({ requests: 1 });
+    this.showRewriteStatus(`${action.label}…`, 'loading');
+    // showGhostText cancelled the previous controller; this one owns the request
+    this.abortController = new AbortController();
+    const signal = this.abortController.signal;
+    try {
+      const response = await this.languageModel.prompt(this.createRewritePrompt(action, original), { signal });
+      if (signal.aborted) return;
+      const rewritten = cleanRewriteText(String(response || ''), original);
+      if (!rewritten.trim() || rewritten === original) {
+        this.showRewriteStatus('No changes suggested', 'error');
+        return;
+      }
+      this.showRewritePreview(original, rewritten);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.log('[SmartAutocomplete] Rewrite failed:', error.message);
+      this.showRewriteStatus('Rewrite failed: ' + error.message, 'error');
+      this.handleModelError(error);
+    }
+  }
+
+  createRewritePrompt(action, original) {
+    return buildRewritePrompt(action, original, this.buildProfileInstructions());
+  }
+
+  // Diff of the selection against the rewrite; accepting replaces the saved selection
+  showRewritePreview(original, rewritten) {
+    this.showGhostText(rewritten, rewritten, 'rewrite');
+    this.markSuggestionShown();
+    if (!this.ghostTextElement || !this.ghostContentElement) return;
+    this.ghostContentElement.textContent = '';
+    for (const part of diffWords(original, rewritten)) {
+      const node = document.createElement(part.type === 'same' ? 'span' : part.type);
+      node.textContent = part.text;
+      if (part.type !== 'same') node.className = 'smart-autocomplete-diff-' + part.type;
+      this.ghostContentElement.appendChild(node);
+    }
+    const hint = document.createElement('div');
+    hint.className = 'smart-autocomplete-hint';
+    hint.textContent = `${this.keyBindings.accept} replaces the selection, ${this.keyBindings.dismiss} cancels`;
+    this.ghostTextElement.appendChild(hint);
+    // Scrollable for long rewrites without taking focus from the field
+    this.ghostTextElement.addEventListener('mousedown', (event) => event.preventDefault());
+    this.positionGhostText();
+  }
+
   acceptGhostText() {
     if (!this.ghostTextElement || !this.activeElement || !this.currentCompletion) return;
-    
-    let text = this.currentCompletion;
-    
-    // Insert the text into the active element using saved cursor position
-    if (this.activeElement.tagName === 'TEXTAREA' || this.activeElement.tagName === 'INPUT') {
-      const currentValue = this.activeElement.value;
-      // Use saved cursor position if available, otherwise current position
-      const cursorPos = this.savedCursorPosition !== null ? this.savedCursorPosition : this.activeElement.selectionStart;
-      const prevChar = cursorPos > 0 ? currentValue.slice(cursorPos - 1, cursorPos) : '';
-      // If we would create double spaces, collapse to single
-      if ((prevChar === ' ' && /^\s/.test(text)) || /\s{2,}$/.test(currentValue.slice(0, cursorPos) + text)) {
-        text = text.replace(/^\s+/, '');
+    const accepted = this.currentCompletion;
+    const rewrite = this.isRewritePreview() ? this._rewrite : null;
+    this.resolveShownSuggestion('accepted');
+    if (this.insertAtSavedPosition(accepted)) {
+      this.recordAccept(rewrite?.original || '');
+      if (!rewrite) this.rememberAccepted(accepted);
+      if (this.isShortCompletionField()) this.ngrams.train(this.getTextBeforeCaret().slice(-200));
+    }
+    this.clearGhostText();
+  }
+
+  // Remember what the last accept inserted (and the selection it replaced) so
+  // undoLastAccept can take exactly that back
+  recordAccept(replaced = '') {
+    this._lastAccept = {
+      element: this.activeElement,
+      text: this._lastInsertion,
+      before: this.getTextBeforeCaret(),
+      replaced
+    };
+  }
+
+  // Remove the last accepted text, restoring the text and caret from before the accept.
+  // Only while nothing was typed or moved since; otherwise the user's own edits would go.
+  undoLastAccept() {
+    const last = this._lastAccept;
+    this._lastAccept = null;
+    if (!last || last.element !== this.activeElement || !last.text) return;
+    const before = this.getTextBeforeCaret();
+    if (before !== last.before || !before.endsWith(last.text)) {
+      this.showGhostText('Nothing to undo: the text changed after the accept', null, 'error');
+      setTimeout(() => this.clearGhostText(), 1500);
+      return;
+    }
+    this.clearGhostText();
+    this._isInserting = true;
+    try {
+      if (!this.deleteBeforeCaret(last.text.length)) {
+        console.log('[SmartAutocomplete] Undo not supported in this editor');
+      } else if (last.replaced) {
+        this.insertAtSavedPosition(last.replaced);
       }
-      
-      this.activeElement.value = currentValue.slice(0, cursorPos) + text + currentValue.slice(cursorPos);
-      this.activeElement.selectionStart = this.activeElement.selectionEnd = cursorPos + text.length;
-      
-      // Focus back to the element
-      this.activeElement.focus();
-      
+    } finally {
+      this._isInserting = false;
+    }
+  }
+
+  // Store the sentence the accepted text completes (its start plus the completion)
+  rememberAccepted(accepted) {
+    if (!this.phraseMemory.enabled) return;
+    const before = this.getTextBeforeCaret();
+    const head = before.slice(0, Math.max(0, before.length - accepted.trim().length));
+    const sentenceStart = head.search(/[^.!?\n]*$/);
+    this.phraseMemory.record(this.siteHost, this._lastLanguage, before.slice(sentenceStart));
+  }
+
+  // Accept only the next word or sentence; the rest stays visible at the new caret
+  acceptPartialGhostText(unit) {
+    if (!this.ghostTextElement || !this.activeElement || !this.currentCompletion) return;
+    const completion = this.currentCompletion;
+    const chunk = unit === 'sentence' ? nextSentenceChunk(completion) : nextWordChunk(completion);
+    const remaining = completion.slice(chunk.length);
+    if (!remaining.trim()) {
+      this.acceptGhostText();
+      return;
+    }
+
+    // Stop any streaming/alternative generation so it can't overwrite the remainder
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    if (!this.insertAtSavedPosition(chunk)) return;
+    this.recordAccept();
+    this.resolveShownSuggestion('accepted');
+
+    // The chosen suggestion is now committed; alternatives no longer apply
+    this.candidates = [];
+    this.candidateIndex = 0;
+    this.updateGhostText(remaining);
+    this.setGhostState('ready');
+    this.positionGhostText();
+  }
+
+  // Insert text at the saved cursor position (or the current caret) and move
+  // savedCursorPosition past the inserted text so later accepts land after it.
+  // Options: deleteBefore removes that many characters before the position first (snippet
+  // abbreviations); caretOffset places the caret inside the inserted text instead of after it.
+  insertAtSavedPosition(text, options = {}) {
+    if (!this.activeElement || !text) return false;
+    this._isInserting = true;
+    try {
+      return this.insertTextAtCursor(text, options);
+    } finally {
+      this._isInserting = false;
+    }
+  }
+
+  insertTextAtCursor(text, { deleteBefore = 0, caretOffset = null } = {}) {
+    // Framework editors apply a real edit at their own caret, keeping their model and undo intact
+    if (this.editor) {
+      const originalLength = text.length;
+      const before = this.editor.read()?.before || '';
+      if (deleteBefore === 0 && /\s$/.test(before) && /^\s/.test(text)) text = text.replace(/^\s+/, '');
+      this._lastInsertion = text;
+      return this.editor.insert(text, { deleteBefore, caretOffset: caretOffset === null ? null : caretWithin(text, originalLength, caretOffset) });
+    }
+
+    // Plain fields and contenteditable (src/insertion.js), at the saved cursor position
+    const options = { saved: this.savedCursorPosition, deleteBefore, caretOffset };
+    let result = null;
+    if (this.activeElement.tagName === 'TEXTAREA' || this.activeElement.tagName === 'INPUT') {
+      result = insertIntoField(this.activeElement, text, options);
     } else if (this.activeElement.isContentEditable) {
-      // For contenteditable, try to use saved position if available
-      let insertionRange;
-      
-      if (this.savedCursorPosition && this.savedCursorPosition.container && this.savedCursorPosition.offset !== undefined) {
-        // Use saved position
-        insertionRange = document.createRange();
-        try {
-          insertionRange.setStart(this.savedCursorPosition.container, this.savedCursorPosition.offset);
-          insertionRange.collapse(true);
-          // Check previous character if in a text node
-          try {
-            const node = this.savedCursorPosition.container;
-            if (node && node.nodeType === Node.TEXT_NODE) {
-              const t = node.textContent || '';
-              const prev = this.savedCursorPosition.offset > 0 ? t[this.savedCursorPosition.offset - 1] : '';
-              if ((prev === ' ' && /^\s/.test(text)) || /\s{2,}$/.test(t.slice(0, this.savedCursorPosition.offset) + text)) {
-                text = text.replace(/^\s+/, '');
-              }
-            }
-          } catch (_) {}
-        } catch (error) {
-          // Fallback to current selection if saved position is invalid
-          const selection = window.getSelection();
-          if (selection.rangeCount > 0) {
-            insertionRange = selection.getRangeAt(0);
-          }
-        }
-      } else {
-        // Use current selection
-        const selection = window.getSelection();
-        if (selection.rangeCount > 0) {
-          insertionRange = selection.getRangeAt(0);
-        }
-      }
-      
-      if (insertionRange) {
-        insertionRange.deleteContents();
-        insertionRange.insertNode(document.createTextNode(text));
-        insertionRange.collapse(false);
-        
-        const selection = window.getSelection();
-        selection.removeAllRanges();
-        selection.addRange(insertionRange);
-        
-        // Focus back to the element
-        this.activeElement.focus();
-      }
+      result = insertIntoContentEditable(this.activeElement, this.getSelection(), text, options);
     }
+    if (!result) return false;
+    this.savedCursorPosition = result.position;
+    this._lastInsertion = result.text;
+    return true;
+  }
 
-    this.clearGhostText();
+  // Delete count characters before the caret as a native edit
+  deleteBeforeCaret(count) {
+    if (this.editor) return this.editor.insert('', { deleteBefore: count });
+    const element = this.activeElement;
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      const end = element.selectionStart ?? element.value.length;
+      const start = Math.max(0, end - count);
+      replaceFieldRange(element, start, end, '');
+      try {
+        element.setSelectionRange(start, start);
+      } catch (e) {
+        // ignore
+      }
+      return true;
+    }
+    if (element.isContentEditable) {
+      const selection = this.getSelection();
+      if (!selection || selection.rangeCount === 0) return false;
+      selection.collapseToStart();
+      for (let i = 0; i < count; i++) selection.modify('extend', 'backward', 'character');
+      if (document.execCommand('delete')) return true;
+      selection.getRangeAt(0).deleteContents();
+      element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+      return true;
+    }
+    return false;
   }
 
   clearGhostText() {
     if (this.ghostTextElement) {
+      this.removeInlineGhost();
       this.ghostTextElement.remove();
       this.ghostTextElement = null;
     }
+    this.ghostContentElement = null;
     
     this.currentCompletion = null;
     this.savedCursorPosition = null;
+    this.candidates = [];
+    this.candidateIndex = 0;
+    this._shownSuggestion = null;
     
     if (this.abortController) {
       this.abortController.abort();
@@ -1250,30 +3039,34 @@ Respond with JSON only containing:
     }
   }
 
-  isTypingKey(event) {
-    // Keys that represent actual typing (not navigation/modifier keys)
-    return !event.ctrlKey && 
-           !event.altKey && 
-           !['Tab', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 
-             'Home', 'End', 'PageUp', 'PageDown'].includes(event.code);
+  // Defaults, then the global bindings, then this site's overrides
+  applyKeyBindings(s) {
+    const legacy = {
+      toggleSite: s.disableToggleShortcut,
+      toggleAutoSuggest: s.autoSuggestToggleShortcut
+    };
+    const siteBindings = s.siteKeyBindings?.[this.siteHost];
+    const bindings = { ...DEFAULT_KEY_BINDINGS };
+    for (const source of [legacy, s.keyBindings, siteBindings]) {
+      if (!source || typeof source !== 'object') continue;
+      for (const [action, binding] of Object.entries(source)) {
+        if (action in DEFAULT_KEY_BINDINGS && typeof binding === 'string' && binding.trim()) {
+          bindings[action] = binding.trim();
+        }
+      }
+    }
+    this.keyBindings = bindings;
+    this._swallowedShortcuts.clear();
   }
 
-  matchesShortcut(event, shortcut) {
-    // shortcut like 'Ctrl+Shift+S'
-    if (!shortcut) return false;
-    const parts = shortcut.split('+');
-    const needCtrl = parts.includes('Ctrl');
-    const needShift = parts.includes('Shift');
-    const needAlt = parts.includes('Alt');
-    const key = parts[parts.length - 1];
-    if (!!event.ctrlKey !== !!needCtrl) return false;
-    if (!!event.shiftKey !== !!needShift) return false;
-    if (!!event.altKey !== !!needAlt) return false;
-    if (key.length === 1) {
-      // letter
-      return event.code === ('Key' + key.toUpperCase());
-    }
-    return event.code === key;
+  reportSwallowedShortcut(action) {
+    if (this._swallowedShortcuts.has(action)) return;
+    this._swallowedShortcuts.add(action);
+    const message = `This page intercepts ${this.keyBindings[action]}; set a different shortcut for ${this.siteHost} in Options`;
+    console.log('[SmartAutocomplete] ' + message + ' (' + action + ')');
+    this.reportStatus({ error: message });
+    this.showGhostText(message, null, 'error');
+    setTimeout(() => this.clearGhostText(), 2500);
   }
 
   async loadSettings() {
@@ -1292,68 +3085,39 @@ Respond with JSON only containing:
     this.triggers.ctrlEnter = !!s.ctrlEnter;
     this.triggers.doubleSpace = !!s.doubleSpace;
     this.triggers.autoAfterPunctuation = !!s.autoAfterPunctuation;
-    if (typeof s.disableToggleShortcut === 'string' && s.disableToggleShortcut.trim()) {
-      this.disableToggleShortcut = s.disableToggleShortcut.trim();
+    this.applyKeyBindings(s);
+    this.autoSuggest.enabled = !!s.autoSuggest;
+    if (typeof s.autoSuggestDelayMs === 'number') this.autoSuggest.delayMs = Math.min(3000, Math.max(150, s.autoSuggestDelayMs));
+    if (typeof s.autoSuggestMinChars === 'number') this.autoSuggest.minChars = Math.min(500, Math.max(1, s.autoSuggestMinChars));
+    if (Array.isArray(s.excludedSelectors)) {
+      this.excludedSelectors = s.excludedSelectors.filter(sel => typeof sel === 'string' && sel.trim()).map(sel => sel.trim());
     }
+    this.phraseMemory.enabled = !!s.phraseMemory;
+    if (typeof s.phraseMemoryLimit === 'number') this.phraseMemory.limit = Math.min(5000, Math.max(50, s.phraseMemoryLimit));
     if (typeof s.cacheSize === 'number' && s.cacheSize > 10 && s.cacheSize <= 500) {
       this.cache = new LRUCache(s.cacheSize);
     }
+    this.applyBackendSettings(s);
+    if (s.displayMode === 'inline' || s.displayMode === 'popup') this.displayMode = s.displayMode;
+    if (typeof s.candidateCount === 'number') this.candidateCount = Math.min(5, Math.max(1, s.candidateCount));
     if (typeof s.minSentences === 'number') this.minSentences = Math.min(3, Math.max(1, s.minSentences));
     if (typeof s.maxSentences === 'number') this.maxSentences = Math.min(6, Math.max(1, s.maxSentences));
   }
 
-  stripCursorArtifacts(text) {
-    if (!text) return text;
-    // Remove full marker and common partials that can appear mid-stream
-    return text
-      .replace(/\[CURSOR\]/gi, '')
-      .replace(/\[CURS/gi, '')
-      .replace(/CURSOR\]/gi, '')
-      .replace(/CUR/gi, (m)=>'') // rare partials
-      .trim();
+  applyBackendSettings(s) {
+    const order = Array.isArray(s.backendOrder)
+      ? s.backendOrder.filter((b, i, all) => BACKEND_TYPES.includes(b) && all.indexOf(b) === i)
+      : [];
+    const backendOrder = order.length ? order : ['chrome'];
+    const httpBackend = {
+      url: typeof s.httpUrl === 'string' && s.httpUrl.trim() ? s.httpUrl.trim() : DEFAULT_HTTP_BACKEND.url,
+      model: typeof s.httpModel === 'string' && s.httpModel.trim() ? s.httpModel.trim() : DEFAULT_HTTP_BACKEND.model
+    };
+    if (JSON.stringify({ backendOrder, httpBackend }) === JSON.stringify({ backendOrder: this.backendOrder, httpBackend: this.httpBackend })) return;
+    this.backendOrder = backendOrder;
+    this.httpBackend = httpBackend;
+    this.resetModel();
   }
-}
 
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    new SmartAutocomplete();
-  });
-} else {
-  new SmartAutocomplete();
 }
 
-// Site preference helpers (persisted per hostname)
-SmartAutocomplete.prototype.loadSitePreference = async function() {
-  try {
-    if (!chrome?.storage?.local) return;
-    const host = location.hostname;
-    chrome.storage.local.get(['site_prefs'], (data) => {
-      const prefs = data?.site_prefs || {};
-      this.siteEnabled = prefs[host] !== false; // default enabled
-    });
-  } catch (e) {
-    console.log('[SmartAutocomplete] Failed to load site preference:', e.message);
-    this.siteEnabled = true;
-  }
-};
-
-SmartAutocomplete.prototype.toggleSitePreference = async function() {
-  try {
-    if (!chrome?.storage?.local) return;
-    const host = location.hostname;
-    chrome.storage.local.get(['site_prefs'], (data) => {
-      const prefs = data?.site_prefs || {};
-      const current = prefs[host] !== false;
-      const next = !current;
-      prefs[host] = next;
-      chrome.storage.local.set({ site_prefs: prefs }, () => {
-        this.siteEnabled = next;
-        this.showGhostText(next ? 'Enabled autocomplete on this site' : 'Disabled autocomplete on this site', null, next ? 'ready' : 'error');
-        setTimeout(() => this.clearGhostText(), 1200);
-      });
-    });
-  } catch (e) {
-    console.log('[SmartAutocomplete] Failed to toggle site preference:', e.message);
-  }
-};
@@ -0,0 +1,175 @@
+/**
+ * Local Smart Autocomplete - Context Budget
+ * Fits the parts of a completion prompt into the model's input quota, measured in tokens
+ * with the session's measureInputUsage (or estimated when the backend can't measure).
+ * Parts get the budget in priority order: text before the caret, text after it, the
+ * summary of earlier text, page context, then profile instructions. Each part is first
+ * granted up to its share, then whatever is left goes to the parts that still need more,
+ * again by priority. Loaded before content.js.
+ *
+ * Result of ContextBudgeter.fit: {
+ *   quota, usage, overhead,    // session quota and usage, tokens of the prompt template
+ *   budget,                    // tokens available to the parts
+ *   texts: { before, after, summary, page, profile },   // trimmed to fit
+ *   parts: [{ name, tokens, granted, used, trimmed }]   // the allocation, for debug output
+ * }
+ */
+
+// Priority order; keep: the end of the text that survives trimming
+const CONTEXT_PARTS = [
+  { name: 'before', share: 0.5, keep: 'end' },
+  { name: 'after', share: 0.2, keep: 'start' },
+  { name: 'summary', share: 0.15, keep: 'end' }, // in document order, nearest the caret last
+  { name: 'page', share: 0.1, keep: 'start' },
+  { name: 'profile', share: 0.05, keep: 'start' }
+];
+// Prompt processing time grows with length, so completions stay well below the quota
+const CONTEXT_MAX_TOKENS = 2048;
+// Room for the response, which shares the session's context window
+const CONTEXT_OUTPUT_RESERVE_TOKENS = 256;
+// Backends without a quota (local servers) are assumed to have at least this much
+const DEFAULT_INPUT_QUOTA = 4096;
+
+// Rough count for backends that can't measure: about four characters per token
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Tokens per part (needs) -> tokens granted, in CONTEXT_PARTS order
+function allocateBudget(needs, budget, parts = CONTEXT_PARTS) {
+  const granted = {};
+  let left = Math.max(0, budget);
+  for (const part of parts) {
+    const grant = Math.min(needs[part.name] || 0, Math.floor(budget * part.share), left);
+    granted[part.name] = Math.max(0, grant);
+    left -= granted[part.name];
+  }
+  for (const part of parts) {
+    const extra = Math.min((needs[part.name] || 0) - granted[part.name], left);
+    if (extra > 0) {
+      granted[part.name] += extra;
+      left -= extra;
+    }
+  }
+  return granted;
+}
+
+// Cut text that measures `tokens` down to about `limit` tokens, keeping its start or end
+// and not splitting a word
+function trimToTokens(text, tokens, limit, keep = 'start') {
+  if (tokens <= limit) return text;
+  if (limit <= 0) return '';
+  const chars = Math.floor(text.length * limit / tokens);
+  if (keep === 'end') {
+    const start = text.length - chars;
+    const tail = text.slice(start);
+    // Drop the word the cut went through
+    return /\S/.test(text[start - 1] || ' ') ? tail.replace(/^\S*\s*/, '') : tail;
+  }
+  const head = text.slice(0, chars);
+  return /\S/.test(text[chars] || ' ') ? head.replace(/\s*\S*$/, '') : head;
+}
+
+function hashCode(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash) + text.charCodeAt(i);
+    hash |= 0;
+  }
+  return hash;
+}
+
+// Cache key for a text of any length
+function hashText(text) {
+  return `${text.length}:${hashCode(text)}`;
+}
+
+/**
+ * Measures and trims prompt parts for a model (a LanguageModel session or the background
+ * facade). Token counts are cached, so unchanged parts aren't measured again.
+ */
+class ContextBudgeter {
+  constructor() {
+    this.counts = new LRUCache(200);
+  }
+  async measure(model, text) {
+    if (!text) return 0;
+    if (typeof model?.measureInputUsage !== 'function') return estimateTokens(text);
+    const key = hashText(text);
+    const cached = this.counts.get(key);
+    if (cached !== null) return cached;
+    let tokens;
+    try {
+      tokens = await model.measureInputUsage(text);
+    } catch (e) {
+      console.log('[SmartAutocomplete] Token measurement failed, estimating:', e.message);
+      return estimateTokens(text);
+    }
+    this.counts.set(key, tokens);
+    return tokens;
+  }
+  // Tokens the parts may use: the quota minus what the session already holds, the prompt
+  // template and the response reserve, capped at CONTEXT_MAX_TOKENS
+  async getBudget(model, overheadText) {
+    const quota = Number.isFinite(model?.inputQuota) ? model.inputQuota : DEFAULT_INPUT_QUOTA;
+    const usage = Number.isFinite(model?.inputUsage) ? model.inputUsage : 0;
+    const overhead = await this.measure(model, overheadText);
+    const budget = Math.max(0, Math.min(CONTEXT_MAX_TOKENS, quota - usage - overhead - CONTEXT_OUTPUT_RESERVE_TOKENS));
+    return { quota, usage, overhead, budget };
+  }
+  // texts: { before, after, summary, page, profile }; reserve: tokens to hold for parts whose
+  // text isn't known yet ({ summary: Infinity } holds the summary's full share while
+  // deciding what to summarize)
+  async fit(model, texts, { overhead = '', reserve = {} } = {}) {
+    const budget = await this.getBudget(model, overhead);
+    const needs = {};
+    for (const part of CONTEXT_PARTS) {
+      needs[part.name] = part.name in reserve ? reserve[part.name] : await this.measure(model, texts[part.name] || '');
+    }
+    const granted = allocateBudget(needs, budget.budget);
+    const fitted = {};
+    const parts = [];
+    for (const part of CONTEXT_PARTS) {
+      const text = texts[part.name] || '';
+      let kept = text;
+      let used = part.name in reserve ? 0 : needs[part.name];
+      // Trimming is proportional to length; token density varies, so check and shrink
+      for (let attempt = 0; used > granted[part.name] && attempt < 3; attempt++) {
+        kept = trimToTokens(kept, used, Math.floor(granted[part.name] * (1 - attempt * 0.1)), part.keep);
+        used = await this.measure(model, kept);
+      }
+      if (used > granted[part.name]) {
+        kept = '';
+        used = 0;
+      }
+      fitted[part.name] = kept;
+      parts.push({ name: part.name, tokens: needs[part.name], granted: granted[part.name], used, trimmed: kept.length < text.length });
+    }
+    return { ...budget, texts: fitted, parts };
+  }
+}
+
+// One line for the console: "before 812/812, after 40/120 (trimmed), …"
+function describeContextBudget(fit) {
+  const parts = fit.parts
+    .filter(p => p.tokens > 0)
+    .map(p => `${p.name} ${p.used}/${p.tokens}${p.trimmed ? ' (trimmed)' : ''}`)
+    .join(', ');
+  return `${parts || 'empty'}; budget ${fit.budget} of quota ${fit.quota} (used ${fit.usage}, template ${fit.overhead})`;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    CONTEXT_PARTS,
+    CONTEXT_MAX_TOKENS,
+    CONTEXT_OUTPUT_RESERVE_TOKENS,
+    DEFAULT_INPUT_QUOTA,
+    estimateTokens,
+    allocateBudget,
+    trimToTokens,
+    hashCode,
+    hashText,
+    ContextBudgeter,
+    describeContextBudget
+  };
+}
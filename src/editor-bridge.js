@@ -0,0 +1,84 @@
+/**
+ * Local Smart Autocomplete - Editor Bridge (page main world)
+ * Answers editor requests from the content script (src/editors.js) for editors whose model
+ * is only reachable through page JavaScript: CodeMirror 5 and Monaco. Requests arrive as a
+ * smart-autocomplete-editor-request event on the editor's textarea with a JSON detail
+ * { editor, op: 'read' | 'insert' | 'caret', ... }. The reply is dispatched synchronously
+ * on the same element as smart-autocomplete-editor-result with a JSON detail (null when
+ * the editor or its API isn't available).
+ */
+(() => {
+  const REQUEST = 'smart-autocomplete-editor-request';
+  const RESULT = 'smart-autocomplete-editor-result';
+  const CONTEXT_BEFORE = 4000;
+  const CONTEXT_AFTER = 1000;
+
+  const around = (value, offset) => ({
+    before: value.slice(Math.max(0, offset - CONTEXT_BEFORE), offset),
+    after: value.slice(offset, offset + CONTEXT_AFTER)
+  });
+
+  const editors = {
+    codemirror5: {
+      find: (target) => target.closest('.CodeMirror')?.CodeMirror || null,
+      read: (cm) => around(cm.getValue(), cm.indexFromPos(cm.getCursor())),
+      insert: (cm, { text, deleteBefore = 0, caretOffset = null }) => {
+        const end = cm.indexFromPos(cm.getCursor());
+        const start = Math.max(0, end - deleteBefore);
+        cm.replaceRange(text, cm.posFromIndex(start), cm.posFromIndex(end), '+input');
+        cm.setCursor(cm.posFromIndex(start + (caretOffset ?? text.length)));
+        cm.focus();
+        return { ok: true };
+      },
+      caret: (cm) => {
+        const coords = cm.cursorCoords(null, 'window');
+        return { left: coords.left, top: coords.top, bottom: coords.bottom };
+      }
+    },
+    monaco: {
+      find: (target) => window.monaco?.editor?.getEditors?.().find(ed => ed.getDomNode()?.contains(target)) || null,
+      read: (ed) => {
+        const model = ed.getModel();
+        return around(model.getValue(), model.getOffsetAt(ed.getPosition()));
+      },
+      insert: (ed, { text, deleteBefore = 0, caretOffset = null }) => {
+        const model = ed.getModel();
+        const end = model.getOffsetAt(ed.getPosition());
+        const start = Math.max(0, end - deleteBefore);
+        const from = model.getPositionAt(start);
+        const to = model.getPositionAt(end);
+        ed.pushUndoStop();
+        ed.executeEdits('smart-autocomplete', [{
+          range: { startLineNumber: from.lineNumber, startColumn: from.column, endLineNumber: to.lineNumber, endColumn: to.column },
+          text,
+          forceMoveMarkers: true
+        }]);
+        ed.pushUndoStop();
+        ed.setPosition(model.getPositionAt(start + (caretOffset ?? text.length)));
+        ed.focus();
+        return { ok: true };
+      },
+      caret: (ed) => {
+        const position = ed.getScrolledVisiblePosition(ed.getPosition());
+        if (!position) return null;
+        const box = ed.getDomNode().getBoundingClientRect();
+        return { left: box.left + position.left, top: box.top + position.top, bottom: box.top + position.top + position.height };
+      }
+    }
+  };
+
+  document.addEventListener(REQUEST, (event) => {
+    // The editor's textarea, also when it sits in a shadow root (event.target is then the host)
+    const target = event.composedPath()[0] || event.target;
+    let result = null;
+    try {
+      const request = JSON.parse(event.detail);
+      const impl = editors[request.editor];
+      const editor = impl && impl.find(target);
+      if (editor && typeof impl[request.op] === 'function') result = impl[request.op](editor, request);
+    } catch (e) {
+      result = null;
+    }
+    target.dispatchEvent(new CustomEvent(RESULT, { detail: JSON.stringify(result) }));
+  }, true);
+})();
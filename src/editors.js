@@ -0,0 +1,237 @@
+/**
+ * Local Smart Autocomplete - Editor Adapters
+ * Framework editors (ProseMirror, Lexical, Quill, Notion, CodeMirror, Monaco, Google Docs)
+ * keep their own document model: DOM nodes written into them are ignored or corrupt the
+ * model and undo history. An adapter reads text and caret the way the editor exposes them
+ * and inserts as a real edit, either with execCommand('insertText') (the editor sees
+ * beforeinput/input like typing) or, for CodeMirror 5 and Monaco, through their API via
+ * editor-bridge.js in the page's main world. Loaded before content.js.
+ *
+ * Adapter: {
+ *   name,
+ *   inlineGhost,                                   // false: suggestions only in the floating box
+ *   read() -> { before, after } | null,            // null: use the plain-field path
+ *   insert(text, { deleteBefore, caretOffset }) -> boolean,
+ *   caretRect() -> DOMRect | null,
+ *   selectedText?() -> string                      // rewrite support: insert() replaces the selection
+ * }
+ * detectEditor(element) returns an adapter for the focused element, or null for plain
+ * fields and unknown editors, which keep the built-in behavior.
+ */
+
+const EDITOR_BRIDGE_REQUEST = 'smart-autocomplete-editor-request';
+const EDITOR_BRIDGE_RESULT = 'smart-autocomplete-editor-result';
+
+// contenteditable roots, most specific first
+const RICH_TEXT_EDITORS = [
+  ['codemirror6', '.cm-content'],
+  ['prosemirror', '.ProseMirror'],
+  ['lexical', '[data-lexical-editor="true"]'],
+  ['quill', '.ql-editor'],
+  ['notion', '.notion-page-content']
+];
+
+class ContentEditableEditor {
+  constructor(name, root) {
+    this.name = name;
+    this.root = root;
+    // The editor re-renders its DOM from its model; injected ghost spans would be parsed as content
+    this.inlineGhost = false;
+  }
+  // Editors inside a shadow root need ShadowRoot.getSelection() to see their own nodes
+  selection() {
+    const tree = this.root.getRootNode();
+    return typeof tree.getSelection === 'function' ? tree.getSelection() : this.root.ownerDocument.getSelection();
+  }
+  selectionRange() {
+    const selection = this.selection();
+    if (!selection || selection.rangeCount === 0) return null;
+    const range = selection.getRangeAt(0);
+    return this.root.contains(range.startContainer) ? range : null;
+  }
+  read() {
+    const range = this.selectionRange();
+    if (!range) return null;
+    const before = this.root.ownerDocument.createRange();
+    before.setStart(this.root, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    const after = this.root.ownerDocument.createRange();
+    after.setStart(range.endContainer, range.endOffset);
+    after.setEnd(this.root, this.root.childNodes.length);
+    return { before: before.toString(), after: after.toString() };
+  }
+  selectedText() {
+    const range = this.selectionRange();
+    return range ? range.toString() : '';
+  }
+  // Select what to replace, then let the editor apply the edit from the beforeinput/input events
+  insert(text, { deleteBefore = 0, caretOffset = null } = {}) {
+    const doc = this.root.ownerDocument;
+    const selection = this.selection();
+    if (!this.selectionRange()) return false;
+    for (let i = 0; i < deleteBefore; i++) selection.modify('extend', 'backward', 'character');
+    if (!doc.execCommand('insertText', false, text)) {
+      // The editor refused the edit: leave the caret where it was
+      if (deleteBefore > 0) selection.collapseToEnd();
+      return false;
+    }
+    if (caretOffset !== null) {
+      for (let i = caretOffset; i < text.length; i++) selection.modify('move', 'backward', 'character');
+    }
+    return true;
+  }
+  // Measured without inserting a marker node (the marker approach mutates the editor)
+  caretRect() {
+    const range = this.selectionRange();
+    if (!range) return null;
+    const caret = range.cloneRange();
+    caret.collapse(true);
+    const rect = caret.getClientRects()[0] || caret.getBoundingClientRect();
+    if (rect && rect.height > 0) return rect;
+    const node = caret.startContainer.nodeType === Node.ELEMENT_NODE ? caret.startContainer : caret.startContainer.parentElement;
+    return node ? node.getBoundingClientRect() : null;
+  }
+}
+
+// CodeMirror 6 renders one .cm-line per line; Range.toString() would drop the line breaks
+class CodeMirror6Editor extends ContentEditableEditor {
+  constructor(root) {
+    super('codemirror6', root);
+  }
+  read() {
+    const range = this.selectionRange();
+    if (!range) return null;
+    const lines = Array.from(this.root.querySelectorAll('.cm-line'));
+    const caretNode = range.startContainer.nodeType === Node.ELEMENT_NODE ? range.startContainer : range.startContainer.parentElement;
+    const caretLine = caretNode?.closest('.cm-line');
+    const index = lines.indexOf(caretLine);
+    if (index < 0) return super.read();
+    const head = document.createRange();
+    head.setStart(caretLine, 0);
+    head.setEnd(range.startContainer, range.startOffset);
+    const tail = document.createRange();
+    tail.setStart(range.endContainer, range.endOffset);
+    tail.setEnd(caretLine, caretLine.childNodes.length);
+    return {
+      before: [...lines.slice(0, index).map(line => line.textContent), head.toString()].join('\n'),
+      after: [tail.toString(), ...lines.slice(index + 1).map(line => line.textContent)].join('\n')
+    };
+  }
+}
+
+// CodeMirror 5 and Monaco type into a hidden textarea; their model is only reachable from
+// the page's main world, so requests go through editor-bridge.js as synchronous DOM events
+class BridgeEditor {
+  constructor(name, element) {
+    this.name = name;
+    this.element = element;
+    this.inlineGhost = false;
+  }
+  call(op, args = {}) {
+    let result = null;
+    const onResult = (event) => {
+      try {
+        result = JSON.parse(event.detail);
+      } catch (e) {
+        result = null;
+      }
+    };
+    this.element.addEventListener(EDITOR_BRIDGE_RESULT, onResult);
+    try {
+      this.element.dispatchEvent(new CustomEvent(EDITOR_BRIDGE_REQUEST, {
+        bubbles: true,
+        composed: true,
+        detail: JSON.stringify({ editor: this.name, op, ...args })
+      }));
+    } finally {
+      this.element.removeEventListener(EDITOR_BRIDGE_RESULT, onResult);
+    }
+    return result;
+  }
+  read() {
+    const result = this.call('read');
+    return result && typeof result.before === 'string' ? result : null;
+  }
+  insert(text, { deleteBefore = 0, caretOffset = null } = {}) {
+    if (this.call('insert', { text, deleteBefore, caretOffset })?.ok) return true;
+    // Editor API not exposed by the page: type into the hidden textarea, which the editor reads
+    if (deleteBefore > 0) return false;
+    return this.element.ownerDocument.execCommand('insertText', false, text);
+  }
+  caretRect() {
+    const rect = this.call('caret');
+    return rect ? new DOMRect(rect.left, rect.top, 0, rect.bottom - rect.top) : this.element.getBoundingClientRect();
+  }
+}
+
+// Google Docs draws text on a canvas and takes input through a hidden same-origin iframe.
+// Text is read from the accessibility layer (Tools → Accessibility → screen reader support),
+// and the caret is assumed to be at the end of its line since Docs doesn't expose the offset.
+class GoogleDocsEditor {
+  constructor(frame, root) {
+    this.name = 'googledocs';
+    this.frame = frame;
+    this.root = root;
+    this.inlineGhost = false;
+  }
+  static fromFrame(frame) {
+    try {
+      const root = frame.contentDocument?.body;
+      return root ? new GoogleDocsEditor(frame, root) : null;
+    } catch (e) {
+      return null; // not same-origin
+    }
+  }
+  read() {
+    const caret = this.caretRect();
+    if (!caret) return null;
+    const runs = Array.from(document.querySelectorAll('.kix-canvas-tile-content svg rect[aria-label], .kix-lineview'))
+      .map(node => ({ text: node.getAttribute('aria-label') || node.textContent || '', rect: node.getBoundingClientRect() }))
+      .filter(run => run.text)
+      .sort((a, b) => (a.rect.top - b.rect.top) || (a.rect.left - b.rect.left));
+    if (!runs.length) return null;
+    // Group runs into visual lines, then split at the caret's line
+    const lines = [];
+    for (const run of runs) {
+      const last = lines[lines.length - 1];
+      if (last && Math.abs(last.top - run.rect.top) < 3) last.text += ' ' + run.text;
+      else lines.push({ top: run.rect.top, text: run.text });
+    }
+    const caretMiddle = caret.top + caret.height / 2;
+    return {
+      before: lines.filter(line => line.top <= caretMiddle).map(line => line.text).join('\n'),
+      // The caret is taken as the end of its line, so what follows starts on a new line
+      after: lines.filter(line => line.top > caretMiddle).map(line => '\n' + line.text).join('')
+    };
+  }
+  insert(text, { deleteBefore = 0 } = {}) {
+    if (deleteBefore > 0) return false; // no way to select text in the canvas model
+    return this.root.ownerDocument.execCommand('insertText', false, text);
+  }
+  caretRect() {
+    const caret = document.querySelector('.kix-cursor-caret');
+    return caret ? caret.getBoundingClientRect() : null;
+  }
+}
+
+function detectEditor(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+  try {
+    if (element.tagName === 'IFRAME') {
+      return element.classList.contains('docs-texteventtarget-iframe') ? GoogleDocsEditor.fromFrame(element) : null;
+    }
+    if (element.tagName === 'TEXTAREA') {
+      if (element.closest('.monaco-editor')) return new BridgeEditor('monaco', element);
+      if (element.closest('.CodeMirror')) return new BridgeEditor('codemirror5', element);
+      return null;
+    }
+    if (!element.isContentEditable) return null;
+    for (const [name, selector] of RICH_TEXT_EDITORS) {
+      const root = element.closest(selector);
+      if (root) return name === 'codemirror6' ? new CodeMirror6Editor(root) : new ContentEditableEditor(name, root);
+    }
+  } catch (e) {
+    // ignore
+  }
+  return null;
+}
@@ -0,0 +1,192 @@
+/**
+ * Local Smart Autocomplete - Per-Field Sessions
+ * One LanguageModel base session, cloned once per text field and primed with that field's
+ * context (what kind of field, its label, the site). Every request then runs on a fresh
+ * clone of its field's session: requests never see each other's prompts, so completions
+ * for a field all start from the same state and nothing typed in one field reaches
+ * another. Field sessions are evicted on blur, when the field's context changes, when
+ * they overflow, and least recently used beyond a limit; a field whose context alone nears
+ * the input quota is served from the base without priming it again. Only errors of the
+ * base itself (it overflowed, or cloning it failed) drop everything, and the base is
+ * created again on the next request. A failed request just throws and its clone is
+ * discarded: in the background worker the base serves every tab, so a reset would also
+ * destroy the sessions other tabs' requests are cloning.
+ * Used by the content script (per-tab sessions) and the background worker (shared
+ * sessions, where the base serves every tab).
+ *
+ * Fields are { id, context, temperature? } (see SmartAutocomplete.getFieldSessionInfo);
+ * requests without a field run on a clone of the base. Clones keep the base's sampling
+ * parameters, so a field with its own temperature (from its profile) is primed on a new
+ * session created with it instead.
+ */
+
+const FIELD_SESSION_LIMIT = 8;
+// A primed session holding more than this share of the quota leaves too little for prompts
+const FIELD_SESSION_MAX_USAGE = 0.5;
+
+class FieldSessionManager {
+  // createBase: async () => LanguageModel session; base: one that already exists;
+  // createSession: async ({ temperature }) => a session like the base with that
+  // temperature (without it, field temperatures are ignored)
+  constructor(createBase, { base = null, onReset = null, createSession = null, limit = FIELD_SESSION_LIMIT } = {}) {
+    this.createBase = createBase;
+    this.createSession = createSession;
+    this.onReset = onReset;
+    this.limit = limit;
+    this.base = null;
+    this._basePromise = null;
+    this.fields = new Map(); // field id -> { context, temperature, session, promise }, least recently used first
+    if (base) this.setBase(base);
+  }
+  setBase(session) {
+    this.onOverflow(session, () => {
+      if (this.base !== session) return;
+      console.log('[SmartAutocomplete] Model context overflow, re-creating sessions');
+      this.reset();
+    });
+    this.base = session;
+  }
+  async getBase() {
+    if (this.base) return this.base;
+    if (!this._basePromise) {
+      this._basePromise = this.createBase()
+        .then((session) => {
+          this.setBase(session);
+          return session;
+        })
+        .finally(() => { this._basePromise = null; });
+    }
+    return this._basePromise;
+  }
+  // A session that overflows its context has dropped the start of its history
+  onOverflow(session, callback) {
+    if (typeof session?.addEventListener !== 'function') return;
+    session.addEventListener('contextoverflow', callback);
+    session.addEventListener('quotaoverflow', callback); // earlier name of the event
+  }
+  // Clone a session; one that can't be cloned (destroyed when the model was unloaded or
+  // the field released meanwhile, or otherwise broken) is dropped
+  async cloneOf(session, signal, fieldId = null) {
+    try {
+      return await session.clone({ signal });
+    } catch (error) {
+      if (error?.name !== 'AbortError') {
+        if (session === this.base) this.reset();
+        else if (fieldId !== null && this.fields.get(fieldId)?.session === session) this.release(fieldId);
+      }
+      throw error;
+    }
+  }
+  async prime(context, temperature) {
+    const session = temperature !== undefined && this.createSession
+      ? await this.createSession({ temperature })
+      : await this.cloneOf(await this.getBase());
+    if (context) await session.append([{ role: 'user', content: context }]);
+    return session;
+  }
+  // The primed session of a field, created on first use
+  async getFieldSession(field) {
+    let entry = this.fields.get(field.id);
+    if (entry && (entry.context !== field.context || entry.temperature !== field.temperature)) {
+      this.release(field.id);
+      entry = null;
+    }
+    if (entry) {
+      // Most recently used last
+      this.fields.delete(field.id);
+      this.fields.set(field.id, entry);
+    } else {
+      entry = { context: field.context, temperature: field.temperature, session: null, promise: null };
+      entry.promise = this.prime(field.context, field.temperature).then((session) => {
+        entry.session = session;
+        // Lost its priming: prime again on the next request
+        this.onOverflow(session, () => {
+          if (this.fields.get(field.id) === entry) this.release(field.id);
+        });
+        return session;
+      });
+      this.fields.set(field.id, entry);
+      entry.promise.catch(() => {
+        if (this.fields.get(field.id) === entry) this.fields.delete(field.id);
+      });
+      while (this.fields.size > this.limit) this.release(this.fields.keys().next().value);
+    }
+    const session = await entry.promise;
+    if (!session) return this.getBase(); // context too large, see below
+    if (session.inputQuota && session.inputUsage > session.inputQuota * FIELD_SESSION_MAX_USAGE) {
+      // The field's context takes too much room: serve it from the base instead, and keep
+      // the entry so the next request doesn't prime it again
+      if (this.fields.get(field.id) === entry) {
+        entry.session = null;
+        entry.promise = Promise.resolve(null);
+      }
+      FieldSessionManager.destroy(session);
+      return this.getBase();
+    }
+    return session;
+  }
+  // A throwaway session for one request
+  async cloneFor(field, signal) {
+    const session = field ? await this.getFieldSession(field) : await this.getBase();
+    return this.cloneOf(session, signal, field ? field.id : null);
+  }
+  release(id) {
+    const entry = this.fields.get(id);
+    if (!entry) return;
+    this.fields.delete(id);
+    entry.promise.then((session) => FieldSessionManager.destroy(session), () => {});
+  }
+  releaseMatching(predicate) {
+    Array.from(this.fields.keys()).filter(predicate).forEach(id => this.release(id));
+  }
+  reset() {
+    this.releaseMatching(() => true);
+    FieldSessionManager.destroy(this.base);
+    this.base = null;
+    this.onReset?.();
+  }
+  static destroy(session) {
+    try {
+      session?.destroy?.();
+    } catch (e) {
+      // ignore
+    }
+  }
+  // Run fn on a clone for the field; the clone is discarded afterwards, also on errors
+  async run(field, signal, fn) {
+    const clone = await this.cloneFor(field, signal);
+    try {
+      return await fn(clone);
+    } finally {
+      FieldSessionManager.destroy(clone);
+    }
+  }
+  async *stream(field, text, options) {
+    const clone = await this.cloneFor(field, options.signal);
+    try {
+      for await (const chunk of clone.promptStreaming(text, options)) yield chunk;
+    } finally {
+      FieldSessionManager.destroy(clone);
+    }
+  }
+  /**
+   * LanguageModel-shaped facade for the content script; getField returns the field the
+   * next request is for.
+   */
+  languageModel(getField) {
+    const manager = this;
+    return {
+      get inputQuota() { return manager.base?.inputQuota; },
+      get inputUsage() { return manager.base?.inputUsage; },
+      measureInputUsage: async (text) => (await manager.getBase()).measureInputUsage(text),
+      prompt: (text, options = {}) => manager.run(getField(), options.signal, clone => clone.prompt(text, options)),
+      promptStreaming: (text, options = {}) => manager.stream(getField(), text, options),
+      releaseField: (id) => manager.release(id),
+      destroy: () => manager.reset()
+    };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { FIELD_SESSION_LIMIT, FIELD_SESSION_MAX_USAGE, FieldSessionManager };
+}
@@ -0,0 +1,138 @@
+/**
+ * Local Smart Autocomplete - Text Insertion
+ * Inserts accepted text into textarea/input and plain contenteditable elements as a
+ * native edit where the browser allows it (undoable, seen by the page's listeners), at a
+ * saved position in the savedCursorPosition shape:
+ *   { start, end } in textarea/input,
+ *   { container, offset, endContainer?, endOffset? } in contenteditable (no end: collapsed).
+ * Framework editors go through their adapters (src/editors.js) instead. Loaded before
+ * content.js.
+ */
+
+// Caret position within the inserted text, which may have lost leading whitespace;
+// caretOffset null puts it at the end
+function caretWithin(inserted, originalLength, caretOffset) {
+  return caretOffset === null
+    ? inserted.length
+    : Math.max(0, caretOffset - (originalLength - inserted.length));
+}
+
+// Replace [start, end) of a textarea/input the way typing would. execCommand keeps the
+// browser's undo stack and fires trusted beforeinput/input; when it isn't available
+// (type=email has no selection API) set the value and dispatch the events ourselves.
+function replaceFieldRange(field, start, end, text) {
+  if (!text && start === end) return;
+  try {
+    field.setSelectionRange(start, end);
+    if (field.ownerDocument.activeElement === field && field.ownerDocument.execCommand(text ? 'insertText' : 'delete', false, text)) return;
+  } catch (e) {
+    // ignore
+  }
+  // The prototype setter bypasses value trackers (React) so the framework sees the change
+  const proto = field.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+  Object.getOwnPropertyDescriptor(proto, 'value').set.call(field, field.value.slice(0, start) + text + field.value.slice(end));
+  field.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: text ? 'insertText' : 'deleteContentBackward', data: text || null }));
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Insert into a textarea/input, replacing the saved selection (or the field's own) and
+// deleteBefore characters before it. Returns { text, position }: the text as inserted and
+// the collapsed caret after it.
+function insertIntoField(field, text, { saved = null, deleteBefore = 0, caretOffset = null } = {}) {
+  const originalLength = text.length;
+  const currentValue = field.value;
+  // Replace the saved selection if available, otherwise the current one (null for type=email)
+  const cursorPos = saved ? saved.start : (field.selectionStart ?? currentValue.length);
+  const selectionEnd = saved ? saved.end : (field.selectionEnd ?? cursorPos);
+  const start = Math.max(0, cursorPos - deleteBefore);
+  const prevChar = start > 0 ? currentValue.slice(start - 1, start) : '';
+  // If we would create double spaces, collapse to single
+  if ((prevChar === ' ' && /^\s/.test(text)) || /\s{2,}$/.test(currentValue.slice(0, start) + text)) {
+    text = text.replace(/^\s+/, '');
+  }
+
+  field.focus();
+  replaceFieldRange(field, start, selectionEnd, text);
+  const caret = start + caretWithin(text, originalLength, caretOffset);
+  try {
+    field.setSelectionRange(caret, caret);
+  } catch (e) {
+    // ignore (no selection API on type=email)
+  }
+  return { text, position: { start: caret, end: caret } };
+}
+
+// Insert into a contenteditable element at the saved position (or the current selection),
+// first removing deleteBefore characters. Returns { text, position } like insertIntoField,
+// or null when there is no usable position.
+function insertIntoContentEditable(element, selection, text, { saved = null, deleteBefore = 0, caretOffset = null } = {}) {
+  const doc = element.ownerDocument;
+  const originalLength = text.length;
+  let insertionRange;
+
+  if (saved && saved.container && saved.offset !== undefined) {
+    // Use saved position
+    insertionRange = doc.createRange();
+    try {
+      insertionRange.setStart(saved.container, saved.offset);
+      insertionRange.collapse(true);
+      // A saved selection (rewrite) is replaced
+      if (saved.endContainer) {
+        insertionRange.setEnd(saved.endContainer, saved.endOffset);
+      }
+      // Check previous character if in a text node
+      try {
+        const node = saved.container;
+        if (node && node.nodeType === Node.TEXT_NODE) {
+          const t = node.textContent || '';
+          const prev = saved.offset > 0 ? t[saved.offset - 1] : '';
+          if ((prev === ' ' && /^\s/.test(text)) || /\s{2,}$/.test(t.slice(0, saved.offset) + text)) {
+            text = text.replace(/^\s+/, '');
+          }
+        }
+      } catch (_) {}
+    } catch (error) {
+      // Fallback to current selection if saved position is invalid
+      insertionRange = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    }
+  } else if (selection.rangeCount > 0) {
+    // Use current selection
+    insertionRange = selection.getRangeAt(0);
+  }
+  if (!insertionRange) return null;
+
+  if (deleteBefore > 0) {
+    // Only delete within the caret's own text node (abbreviations are plain text)
+    const node = insertionRange.startContainer;
+    if (node.nodeType !== Node.TEXT_NODE || insertionRange.startOffset < deleteBefore) return null;
+    insertionRange.setStart(node, insertionRange.startOffset - deleteBefore);
+  }
+
+  const caretIn = caretWithin(text, originalLength, caretOffset);
+  element.focus();
+  selection.removeAllRanges();
+  selection.addRange(insertionRange);
+  // A native edit: undoable with Ctrl+Z and seen by the page's input listeners
+  if (doc.execCommand('insertText', false, text)) {
+    for (let i = caretIn; i < text.length; i++) selection.modify('move', 'backward', 'character');
+    const caret = selection.getRangeAt(0);
+    return { text, position: { container: caret.startContainer, offset: caret.startOffset } };
+  }
+
+  const textNode = doc.createTextNode(text);
+  insertionRange.deleteContents();
+  insertionRange.insertNode(textNode);
+  insertionRange.setStart(textNode, caretIn);
+  insertionRange.collapse(true);
+
+  selection.removeAllRanges();
+  selection.addRange(insertionRange);
+  element.focus();
+  element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+  // Anchor subsequent accepts at the caret inside/after the inserted text
+  return { text, position: { container: textNode, offset: caretIn } };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { caretWithin, replaceFieldRange, insertIntoField, insertIntoContentEditable };
+}
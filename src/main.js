@@ -0,0 +1,26 @@
+/**
+ * Local Smart Autocomplete - Content Script Entry
+ * Starts the content script once the page is ready. Loaded last, so every other
+ * content script (and content.js in tests) can be evaluated without side effects.
+ */
+
+// Runs in every frame (all_frames), except an editor's own input frame, which the
+// parent frame's adapter already drives (Google Docs)
+function shouldRunInFrame() {
+  try {
+    return window === window.top || !window.frameElement || !detectEditor(window.frameElement);
+  } catch (e) {
+    return true;
+  }
+}
+
+// Initialize when DOM is ready
+if (shouldRunInFrame()) {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      new SmartAutocomplete();
+    });
+  } else {
+    new SmartAutocomplete();
+  }
+}
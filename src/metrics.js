@@ -0,0 +1,96 @@
+/**
+ * Local Smart Autocomplete - Completion Metrics
+ * Counts-only usage statistics per site and trigger: completions requested, shown,
+ * accepted, dismissed (Escape) or overwritten by typing, cache hits/misses and streaming
+ * time to first token. No text is ever recorded. Loaded before content.js, which records,
+ * and by the options page, which shows the dashboard; stored as `metrics` in
+ * chrome.storage.local.
+ *
+ * Stored: { version: 1, since, rows: [{ site, trigger, requests, shown, accepted,
+ *   dismissed, overwritten, cacheHits, cacheMisses, ttftCount, ttftTotalMs }] }
+ */
+
+const METRIC_COUNTERS = ['requests', 'shown', 'accepted', 'dismissed', 'overwritten', 'cacheHits', 'cacheMisses', 'ttftCount', 'ttftTotalMs'];
+const METRIC_ROW_LIMIT = 1000;
+
+function emptyMetricRow(site, trigger) {
+  const row = { site, trigger };
+  METRIC_COUNTERS.forEach(name => { row[name] = 0; });
+  return row;
+}
+
+// Add counts to the row for site/trigger; rows is modified
+function addMetrics(rows, site, trigger, counts) {
+  let row = rows.find(r => r.site === site && r.trigger === trigger);
+  if (!row) {
+    row = emptyMetricRow(site, trigger);
+    rows.push(row);
+  }
+  for (const name of METRIC_COUNTERS) {
+    const value = counts[name];
+    if (typeof value === 'number' && Number.isFinite(value)) row[name] = (row[name] || 0) + value;
+  }
+  return row;
+}
+
+// Rows summed by 'site' or 'trigger' (or all into one when by is null), with derived rates
+function summarizeMetrics(rows, by) {
+  const groups = new Map();
+  for (const row of rows || []) {
+    const key = by ? row[by] : '';
+    let group = groups.get(key);
+    if (!group) {
+      group = emptyMetricRow(by === 'site' ? key : '', by === 'trigger' ? key : '');
+      groups.set(key, group);
+    }
+    METRIC_COUNTERS.forEach(name => { group[name] += row[name] || 0; });
+  }
+  return Array.from(groups.values())
+    .map(row => ({
+      ...row,
+      acceptanceRate: row.shown ? row.accepted / row.shown : null,
+      cacheHitRate: row.cacheHits + row.cacheMisses ? row.cacheHits / (row.cacheHits + row.cacheMisses) : null,
+      avgTtftMs: row.ttftCount ? Math.round(row.ttftTotalMs / row.ttftCount) : null
+    }))
+    .sort((a, b) => b.requests - a.requests);
+}
+
+function metricsToCsv(rows) {
+  const columns = ['site', 'trigger', ...METRIC_COUNTERS];
+  const cell = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  return [columns.join(','), ...(rows || []).map(row => columns.map(name => cell(row[name] ?? '')).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Batches counts in memory and merges them into storage, so several tabs can record.
+ */
+class MetricsRecorder {
+  constructor() {
+    this.pending = [];
+    this._flushTimer = null;
+  }
+  add(site, trigger, counts) {
+    addMetrics(this.pending, site || '', trigger || 'manual', counts);
+    if (!this._flushTimer) this._flushTimer = setTimeout(() => this.flush(), 2000);
+  }
+  flush() {
+    const pending = this.pending;
+    this.pending = [];
+    this._flushTimer = null;
+    if (!pending.length) return;
+    try {
+      chrome.storage.local.get(['metrics'], (data) => {
+        const stored = data?.metrics;
+        const rows = Array.isArray(stored?.rows) ? stored.rows : [];
+        pending.forEach(row => addMetrics(rows, row.site, row.trigger, row));
+        // Retention: keep the busiest site/trigger pairs
+        rows.sort((a, b) => b.requests - a.requests);
+        chrome.storage.local.set({
+          metrics: { version: 1, since: stored?.since || Date.now(), rows: rows.slice(0, METRIC_ROW_LIMIT) }
+        });
+      });
+    } catch (e) {
+      console.log('[SmartAutocomplete] Failed to save metrics:', e.message);
+    }
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Local Smart Autocomplete - Model Lifecycle
+ * The state of the completion model, in one place. The content script moves it through
+ * the states below as backends are tried, downloads run and sessions fail; everything
+ * that depends on it (toolbar status, download progress in the field, the summary
+ * pipeline, the download-on-interaction listener) subscribes instead of being told by
+ * each code path. Also keeps the timers that move it on by themselves: polling a download
+ * started elsewhere, and retrying with exponential backoff after a failure. Loaded before
+ * content.js.
+ *
+ * States:
+ * - unknown: not initialized yet, or reset (backend settings changed)
+ * - unavailable: no usable backend on this device or browser
+ * - downloadable: the model needs a download, which needs a user gesture
+ *   (detail.needsActivation: starts on the next click or key press)
+ * - downloading: the model is downloading (detail.progress: percent, or null when the
+ *   download belongs to another tab and is polled)
+ * - ready: completions work, with all helper APIs
+ * - degraded: completions work, but helpers are missing (detail.missing: e.g.
+ *   ['Summarizer']), so long fields aren't summarized or languages aren't detected
+ * - failed: the last attempt failed (detail.error, detail.retryAt)
+ * Ready and degraded details also carry backend ('chrome' or 'http') and shared (whether
+ * the background worker's sessions are used).
+ */
+
+const MODEL_STATES = ['unknown', 'unavailable', 'downloadable', 'downloading', 'ready', 'degraded', 'failed'];
+const MODEL_POLL_INTERVAL_MS = 5000;
+const MODEL_RETRY_BASE_MS = 2000; // doubled after every further failure
+const MODEL_RETRY_MAX_MS = 5 * 60 * 1000;
+const MODEL_MAX_AUTO_RETRIES = 5; // later attempts wait for the user to trigger one
+// Failures further apart than this start the backoff over. Getting ready doesn't: a
+// session that keeps getting lost right after loading must still back off.
+const MODEL_FAILURE_WINDOW_MS = 10 * 60 * 1000;
+
+class ModelLifecycle {
+  constructor({
+    pollMs = MODEL_POLL_INTERVAL_MS,
+    retryBaseMs = MODEL_RETRY_BASE_MS,
+    retryMaxMs = MODEL_RETRY_MAX_MS,
+    maxAutoRetries = MODEL_MAX_AUTO_RETRIES,
+    failureWindowMs = MODEL_FAILURE_WINDOW_MS
+  } = {}) {
+    this.pollMs = pollMs;
+    this.retryBaseMs = retryBaseMs;
+    this.retryMaxMs = retryMaxMs;
+    this.maxAutoRetries = maxAutoRetries;
+    this.failureWindowMs = failureWindowMs;
+    this.state = 'unknown';
+    this.detail = {};
+    this.failures = 0; // failures, each within failureWindowMs of the one before
+    this.lastFailureAt = 0;
+    this.retryAt = 0;
+    this.listeners = new Set();
+    this._timer = null;
+  }
+  // listener(state, detail, previousState) on every transition; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  get usable() {
+    return this.state === 'ready' || this.state === 'degraded';
+  }
+  // Every transition cancels the pending poll or retry; the new state schedules its own
+  transition(state, detail = {}) {
+    if (!MODEL_STATES.includes(state)) throw new Error('Unknown model state: ' + state);
+    this.cancel();
+    const previous = this.state;
+    if (state === 'ready' || state === 'degraded') this.retryAt = 0;
+    this.state = state;
+    this.detail = detail;
+    this.listeners.forEach((listener) => {
+      try {
+        listener(state, detail, previous);
+      } catch (e) {
+        console.log('[SmartAutocomplete] Model state listener failed:', e.message);
+      }
+    });
+  }
+  // A failed attempt: wait retryBaseMs, then twice as long after each further failure
+  // (up to retryMaxMs). retry runs when the wait is over, for the first maxAutoRetries.
+  fail(error, retry = null) {
+    const now = Date.now();
+    if (now - this.lastFailureAt > this.failureWindowMs) this.failures = 0;
+    this.lastFailureAt = now;
+    this.failures++;
+    const delay = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (this.failures - 1));
+    this.retryAt = now + delay;
+    this.transition('failed', { error, retryAt: this.retryAt });
+    if (retry && this.failures <= this.maxAutoRetries) this.after(delay, retry);
+  }
+  // Background attempts (as-you-type, timers) wait out the backoff
+  canRetry(now = Date.now()) {
+    return this.state !== 'failed' || now >= this.retryAt;
+  }
+  // Run check every pollMs while the state stays 'downloading'
+  poll(check) {
+    this.after(this.pollMs, async () => {
+      if (this.state !== 'downloading') return;
+      await check();
+      if (this.state === 'downloading' && !this._timer) this.poll(check);
+    });
+  }
+  after(delay, callback) {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      callback();
+    }, delay);
+  }
+  cancel() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+  // Back to the start (backend settings changed), forgetting earlier failures
+  reset() {
+    this.failures = 0;
+    this.lastFailureAt = 0;
+    this.retryAt = 0;
+    this.transition('unknown');
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    MODEL_STATES,
+    MODEL_POLL_INTERVAL_MS,
+    MODEL_RETRY_BASE_MS,
+    MODEL_RETRY_MAX_MS,
+    MODEL_MAX_AUTO_RETRIES,
+    MODEL_FAILURE_WINDOW_MS,
+    ModelLifecycle
+  };
+}
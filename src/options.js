@@ -1,14 +1,91 @@
 function getEl(id){return document.getElementById(id)}
 
+const KEY_BINDING_LABELS = {
+  trigger: 'Trigger completion',
+  accept: 'Accept suggestion',
+  dismiss: 'Dismiss suggestion',
+  acceptWord: 'Accept next word',
+  acceptSentence: 'Accept next sentence',
+  nextSuggestion: 'Next alternative',
+  previousSuggestion: 'Previous alternative',
+  toggleSite: 'Disable/Enable site',
+  toggleAutoSuggest: 'Toggle as-you-type on site',
+  undoAccept: 'Undo last accept',
+  rewrite: 'Rewrite selection'
+};
+
+// Delivered to pages, but often taken by the OS, input methods or editors
+const SHORTCUT_WARNINGS = {
+  'Ctrl+Space': 'Switches input method on many systems',
+  'Ctrl+Shift+Space': 'Some input methods (IMEs) use this',
+  'Meta+Space': 'Opens Spotlight or switches input source on macOS',
+  'Alt+Space': 'Opens the window menu on Windows',
+  'Tab': 'Code editors use Tab to indent; only taken while a suggestion is shown',
+  'Enter': 'Submits forms and inserts new lines while a suggestion is shown'
+};
+
+const DEFAULT_HTTP_URL = 'http://localhost:11434/v1/chat/completions';
+const DEFAULT_HTTP_MODEL = 'llama3.2';
+const BACKEND_ORDERS = ['chrome','chrome,http','http,chrome','http'];
+
+const MODIFIER_ORDER = ['Ctrl','Alt','Shift','Meta'];
+const PRINTABLE_CODES = ['Space','Minus','Equal','BracketLeft','BracketRight','Backslash','Semicolon','Quote','Backquote','Comma','Period','Slash','IntlBackslash'];
+const KEY_DISPLAY = { ArrowLeft:'Left', ArrowRight:'Right', ArrowUp:'Up', ArrowDown:'Down', BracketLeft:'[', BracketRight:']', Escape:'Esc' };
+const IS_MAC = /Mac/.test(navigator.platform);
+
+// Canonical form ('Cmd' -> 'Meta', fixed modifier order) so equal shortcuts compare equal
+function normalizeShortcut(shortcut){
+  if(!shortcut) return '';
+  const parts = shortcut.split('+').map(p=>p==='Cmd'?'Meta':p);
+  const key = parts.pop();
+  const mods = MODIFIER_ORDER.filter(m=>parts.includes(m));
+  return [...mods, key.length===1 ? key.toUpperCase() : key].join('+');
+}
+
+function describeShortcut(shortcut){
+  return normalizeShortcut(shortcut).split('+')
+    .map(p=>p==='Meta' ? (IS_MAC?'Cmd':'Meta') : (KEY_DISPLAY[p] || p))
+    .join('+');
+}
+
+function modifierParts(e){
+  return MODIFIER_ORDER.filter(m=>(m==='Ctrl'?e.ctrlKey:m==='Alt'?e.altKey:m==='Shift'?e.shiftKey:e.metaKey));
+}
+
+// null while only modifiers are held
+function shortcutFromEvent(e){
+  if(!e.code || /^(Control|Shift|Alt|Meta|OS)(Left|Right)?$/.test(e.code)) return null;
+  const key = /^Key[A-Z]$/.test(e.code) ? e.code.slice(3) : /^Digit\d$/.test(e.code) ? e.code.slice(5) : e.code;
+  return [...modifierParts(e), key].join('+');
+}
+
+function isPrintableShortcut(shortcut){
+  const parts = shortcut.split('+');
+  const key = parts[parts.length-1];
+  if(parts.includes('Ctrl') || parts.includes('Alt') || parts.includes('Meta')) return false;
+  return key.length===1 || PRINTABLE_CODES.includes(key);
+}
+
 function loadSettings(){
   try{
-    chrome.storage.local.get(['settings','site_prefs'], (data)=>{
+    chrome.storage.local.get(['settings','site_prefs','site_autosuggest','snippets','profiles'], (data)=>{
       const s = data?.settings || {};
       getEl('ctrlEnter').checked = !!s.ctrlEnter;
       getEl('doubleSpace').checked = !!s.doubleSpace;
       getEl('autoAfterPunctuation').checked = !!s.autoAfterPunctuation;
-      getEl('disableToggleShortcut').value = s.disableToggleShortcut || 'Ctrl+Shift+S';
+      getEl('autoSuggest').checked = !!s.autoSuggest;
+      getEl('autoSuggestDelayMs').value = s.autoSuggestDelayMs || 400;
+      getEl('autoSuggestMinChars').value = s.autoSuggestMinChars || 20;
+      const order = (s.backendOrder || ['chrome']).join(',');
+      getEl('backendOrder').value = BACKEND_ORDERS.includes(order) ? order : 'chrome';
+      getEl('httpUrl').value = s.httpUrl || DEFAULT_HTTP_URL;
+      getEl('httpModel').value = s.httpModel || DEFAULT_HTTP_MODEL;
       getEl('cacheSize').value = s.cacheSize || 60;
+      getEl('candidateCount').value = s.candidateCount || 3;
+      getEl('displayMode').value = s.displayMode === 'popup' ? 'popup' : 'inline';
+      getEl('phraseMemory').checked = !!s.phraseMemory;
+      getEl('phraseMemoryLimit').value = s.phraseMemoryLimit || 500;
+      getEl('excludedSelectors').value = (s.excludedSelectors || []).join('\n');
       if (getEl('minSentences')) {
         getEl('minSentences').value = s.minSentences || 1;
         getEl('minSentencesVal').textContent = (s.minSentences || 1);
@@ -17,28 +94,75 @@ function loadSettings(){
         getEl('maxSentences').value = s.maxSentences || 3;
         getEl('maxSentencesVal').textContent = (s.maxSentences || 3);
       }
+      renderKeyBindings({
+        ...DEFAULT_KEY_BINDINGS,
+        ...(s.disableToggleShortcut ? { toggleSite: s.disableToggleShortcut } : {}),
+        ...(s.autoSuggestToggleShortcut ? { toggleAutoSuggest: s.autoSuggestToggleShortcut } : {}),
+        ...(s.keyBindings || {})
+      });
+      renderSiteKeyBindings(s.siteKeyBindings || {});
+      renderSnippets(Array.isArray(data?.snippets) ? data.snippets : []);
+      renderProfiles(Array.isArray(data?.profiles) ? data.profiles : DEFAULT_PROFILES);
       renderDisabledSites(data?.site_prefs || {});
+      renderAutoSuggestSites(data?.site_autosuggest || {});
     });
   }catch(e){/* ignore */}
 }
 
 function saveSettings(){
+  if(checkKeyBindings()>0){
+    const status = getEl('status');
+    status.textContent = 'Fix the shortcut conflicts above before saving';
+    setTimeout(()=>status.textContent='', 2500);
+    return;
+  }
+  const profiles = readProfiles();
+  const invalid = profiles.find(p=>validateProfile(p).length);
+  if(invalid){
+    const status = getEl('status');
+    status.textContent = `Fix profile “${invalid.name || 'unnamed'}” before saving`;
+    setTimeout(()=>status.textContent='', 2500);
+    return;
+  }
   const s = {
     ctrlEnter: getEl('ctrlEnter').checked,
     doubleSpace: getEl('doubleSpace').checked,
     autoAfterPunctuation: getEl('autoAfterPunctuation').checked,
-    disableToggleShortcut: getEl('disableToggleShortcut').value.trim() || 'Ctrl+Shift+S',
+    autoSuggest: getEl('autoSuggest').checked,
+    autoSuggestDelayMs: Math.min(3000, Math.max(150, parseInt(getEl('autoSuggestDelayMs').value||'400',10))),
+    autoSuggestMinChars: Math.min(500, Math.max(1, parseInt(getEl('autoSuggestMinChars').value||'20',10))),
+    keyBindings: readKeyBindings(),
+    siteKeyBindings: readSiteKeyBindings(),
+    phraseMemory: getEl('phraseMemory').checked,
+    phraseMemoryLimit: Math.min(5000, Math.max(50, parseInt(getEl('phraseMemoryLimit').value||'500',10))),
+    excludedSelectors: getEl('excludedSelectors').value.split('\n').map(x=>x.trim()).filter(Boolean),
+    backendOrder: getEl('backendOrder').value.split(','),
+    httpUrl: getEl('httpUrl').value.trim() || DEFAULT_HTTP_URL,
+    httpModel: getEl('httpModel').value.trim() || DEFAULT_HTTP_MODEL,
     cacheSize: Math.min(500, Math.max(10, parseInt(getEl('cacheSize').value||'60',10))),
+    displayMode: getEl('displayMode').value === 'popup' ? 'popup' : 'inline',
+    candidateCount: Math.min(5, Math.max(1, parseInt(getEl('candidateCount').value||'3',10))),
     minSentences: Math.min(3, Math.max(1, parseInt((getEl('minSentences')?.value)||'1', 10))),
     maxSentences: Math.min(6, Math.max(1, parseInt((getEl('maxSentences')?.value)||'3', 10)))
   };
-  chrome.storage.local.set({ settings: s }, ()=>{
+  chrome.storage.local.set({ settings: s, snippets: readSnippets(), profiles }, ()=>{
     const status = getEl('status');
     status.textContent = 'Saved!';
     setTimeout(()=>status.textContent='', 1200);
   });
 }
 
+// Same reachability/model check the content script runs before using the server
+function testBackend(){
+  const status = getEl('backendStatus');
+  status.textContent = 'Checking…';
+  const backend = { type: 'http', url: getEl('httpUrl').value.trim() || DEFAULT_HTTP_URL, model: getEl('httpModel').value.trim() || DEFAULT_HTTP_MODEL };
+  chrome.runtime.sendMessage({ source: 'smart-autocomplete', type: 'checkBackend', backend }, (response)=>{
+    if (chrome.runtime.lastError) { status.textContent = 'Background worker unavailable: ' + chrome.runtime.lastError.message; return; }
+    status.textContent = response?.ok ? `Connected (${backend.model})` : (response?.reason || response?.error?.message || 'Not reachable');
+  });
+}
+
 function renderDisabledSites(prefs){
   const ul = getEl('disabledSites');
   ul.innerHTML='';
@@ -65,10 +189,531 @@ function renderDisabledSites(prefs){
   }
 }
 
+function renderAutoSuggestSites(prefs){
+  const ul = getEl('autoSuggestSites');
+  ul.innerHTML='';
+  const entries = Object.entries(prefs).filter(([host, enabled])=>typeof enabled==='boolean');
+  if(entries.length===0){
+    const li = document.createElement('li');
+    li.textContent = 'No per-site overrides';
+    ul.appendChild(li);
+    return;
+  }
+  for(const [host, enabled] of entries){
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.textContent = `Reset ${host} (as-you-type ${enabled ? 'on' : 'off'})`;
+    btn.onclick = ()=>{
+      chrome.storage.local.get(['site_autosuggest'], (data)=>{
+        const prefs = data?.site_autosuggest || {};
+        delete prefs[host];
+        chrome.storage.local.set({ site_autosuggest: prefs }, ()=> loadSettings());
+      });
+    };
+    li.appendChild(btn);
+    ul.appendChild(li);
+  }
+}
+
+function setRecorderBinding(btn, shortcut){
+  btn.dataset.binding = shortcut || '';
+  btn.textContent = shortcut ? describeShortcut(shortcut) : 'Click to record';
+}
+
+// Button that records the next key combination pressed while it is focused
+function createRecorder(shortcut){
+  const btn = document.createElement('button');
+  btn.className = 'shortcut-recorder';
+  setRecorderBinding(btn, shortcut);
+  btn.addEventListener('click', ()=>{
+    // Space/Enter that completed a recording also fire click
+    if(Date.now() - (Number(btn.dataset.recordedAt)||0) < 300) return;
+    btn.classList.add('recording');
+    btn.textContent = 'Press keys…';
+  });
+  btn.addEventListener('keydown', (e)=>{
+    if(!btn.classList.contains('recording')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const recorded = shortcutFromEvent(e);
+    if(!recorded){
+      btn.textContent = [...modifierParts(e), '…'].join('+');
+      return;
+    }
+    btn.classList.remove('recording');
+    btn.dataset.recordedAt = String(Date.now());
+    setRecorderBinding(btn, recorded);
+    checkKeyBindings();
+  });
+  btn.addEventListener('blur', ()=>{
+    if(!btn.classList.contains('recording')) return;
+    btn.classList.remove('recording');
+    setRecorderBinding(btn, btn.dataset.binding);
+  });
+  return btn;
+}
+
+function renderKeyBindings(bindings){
+  const list = getEl('keyBindingList');
+  list.innerHTML='';
+  for(const action of Object.keys(DEFAULT_KEY_BINDINGS)){
+    const row = document.createElement('div');
+    row.className = 'row binding-row';
+    row.dataset.action = action;
+    const label = document.createElement('label');
+    label.textContent = KEY_BINDING_LABELS[action];
+    const recorder = createRecorder(bindings[action]);
+    const reset = document.createElement('button');
+    reset.textContent = 'Default';
+    reset.onclick = ()=>{
+      setRecorderBinding(recorder, DEFAULT_KEY_BINDINGS[action]);
+      checkKeyBindings();
+    };
+    const note = document.createElement('span');
+    note.className = 'shortcut-note small';
+    row.append(label, recorder, reset, note);
+    list.appendChild(row);
+  }
+  checkKeyBindings();
+}
+
+function addSiteKeyBindingRow(host, action, shortcut){
+  const row = document.createElement('div');
+  row.className = 'row site-binding-row';
+  const hostInput = document.createElement('input');
+  hostInput.type = 'text';
+  hostInput.placeholder = 'docs.google.com';
+  hostInput.value = host || '';
+  hostInput.className = 'site-host';
+  hostInput.addEventListener('input', checkKeyBindings);
+  const select = document.createElement('select');
+  select.className = 'site-action';
+  for(const [value, text] of Object.entries(KEY_BINDING_LABELS)){
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  }
+  select.value = action || 'accept';
+  select.addEventListener('change', checkKeyBindings);
+  const recorder = createRecorder(shortcut);
+  const remove = document.createElement('button');
+  remove.textContent = 'Remove';
+  remove.onclick = ()=>{ row.remove(); checkKeyBindings(); };
+  const note = document.createElement('span');
+  note.className = 'shortcut-note small';
+  row.append(hostInput, select, recorder, remove, note);
+  getEl('siteKeyBindingList').appendChild(row);
+}
+
+function renderSiteKeyBindings(sites){
+  getEl('siteKeyBindingList').innerHTML='';
+  for(const [host, bindings] of Object.entries(sites)){
+    for(const [action, shortcut] of Object.entries(bindings || {})){
+      if(action in DEFAULT_KEY_BINDINGS) addSiteKeyBindingRow(host, action, shortcut);
+    }
+  }
+  checkKeyBindings();
+}
+
+function readKeyBindings(){
+  const bindings = {};
+  document.querySelectorAll('#keyBindingList .binding-row').forEach(row=>{
+    bindings[row.dataset.action] = row.querySelector('.shortcut-recorder').dataset.binding;
+  });
+  return bindings;
+}
+
+function readSiteKeyBindings(){
+  const sites = {};
+  document.querySelectorAll('#siteKeyBindingList .site-binding-row').forEach(row=>{
+    const host = row.querySelector('.site-host').value.trim().toLowerCase();
+    const shortcut = row.querySelector('.shortcut-recorder').dataset.binding;
+    if(!host || !shortcut) return;
+    (sites[host] = sites[host] || {})[row.querySelector('.site-action').value] = shortcut;
+  });
+  return sites;
+}
+
+// { error } blocks saving, { warning } is shown only
+function describeBindingProblem(action, bindings){
+  const shortcut = normalizeShortcut(bindings[action]);
+  if(!shortcut) return { error: 'Not set' };
+  if(isPrintableShortcut(shortcut)) return { error: 'Would interfere with typing; add Ctrl, Alt or Meta' };
+  const other = Object.keys(bindings).find(a=>a!==action && normalizeShortcut(bindings[a])===shortcut);
+  if(other) return { error: `Also used by “${KEY_BINDING_LABELS[other]}”` };
+  if(shortcut==='Ctrl+Enter' && action!=='trigger' && getEl('ctrlEnter').checked) return { error: 'Also used by the Ctrl+Enter trigger' };
+  if(SHORTCUT_WARNINGS[shortcut]) return { warning: SHORTCUT_WARNINGS[shortcut] };
+  return null;
+}
+
+// Marks every shortcut row and returns the number of blocking conflicts
+function checkKeyBindings(){
+  let errors = 0;
+  const mark = (row, problem)=>{
+    const note = row.querySelector('.shortcut-note');
+    note.textContent = problem ? (problem.error || problem.warning) : '';
+    note.className = 'shortcut-note small' + (problem?.error ? ' shortcut-error' : problem?.warning ? ' shortcut-warning' : '');
+    if(problem?.error) errors++;
+  };
+  const global = readKeyBindings();
+  document.querySelectorAll('#keyBindingList .binding-row').forEach(row=>mark(row, describeBindingProblem(row.dataset.action, global)));
+  const sites = readSiteKeyBindings();
+  const seen = new Set();
+  document.querySelectorAll('#siteKeyBindingList .site-binding-row').forEach(row=>{
+    const host = row.querySelector('.site-host').value.trim().toLowerCase();
+    const action = row.querySelector('.site-action').value;
+    const shortcut = row.querySelector('.shortcut-recorder').dataset.binding;
+    if(!host && !shortcut) return mark(row, null);
+    if(!host) return mark(row, { error: 'Enter a host' });
+    if(!shortcut) return mark(row, { error: 'Record a shortcut' });
+    if(seen.has(host+'|'+action)) return mark(row, { error: 'Duplicate override for this site' });
+    seen.add(host+'|'+action);
+    mark(row, describeBindingProblem(action, { ...global, ...sites[host] }));
+  });
+  return errors;
+}
+
+function addSnippetRow(snippet){
+  const row = document.createElement('div');
+  row.className = 'snippet-row';
+  const abbr = document.createElement('input');
+  abbr.type = 'text';
+  abbr.placeholder = ';sig';
+  abbr.value = snippet?.abbr || '';
+  abbr.className = 'snippet-abbr';
+  const text = document.createElement('textarea');
+  text.rows = 2;
+  text.placeholder = 'Best regards,\nJane';
+  text.value = snippet?.text || '';
+  text.className = 'snippet-text';
+  const remove = document.createElement('button');
+  remove.textContent = 'Remove';
+  remove.onclick = ()=>row.remove();
+  row.append(abbr, text, remove);
+  getEl('snippetList').appendChild(row);
+}
+
+function renderSnippets(snippets){
+  getEl('snippetList').innerHTML='';
+  snippets.forEach(addSnippetRow);
+}
+
+function readSnippets(){
+  return Array.from(document.querySelectorAll('#snippetList .snippet-row'))
+    .map(row=>({
+      abbr: row.querySelector('.snippet-abbr').value.trim(),
+      text: row.querySelector('.snippet-text').value
+    }))
+    .filter(s=>s.abbr && /^\S+$/.test(s.abbr) && s.text);
+}
+
+function showSnippetStatus(text){
+  const status = getEl('snippetStatus');
+  status.textContent = text;
+  setTimeout(()=>status.textContent='', 1500);
+}
+
+function exportSnippets(){
+  const payload = JSON.stringify(readSnippets(), null, 2);
+  const url = URL.createObjectURL(new Blob([payload], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'smart-autocomplete-snippets.json';
+  a.click();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+
+function importSnippets(file){
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    try{
+      const list = JSON.parse(reader.result);
+      if(!Array.isArray(list)) throw new Error('Expected an array of { abbr, text }');
+      const valid = list.filter(s=>s && typeof s.abbr==='string' && /^\S+$/.test(s.abbr.trim()) && typeof s.text==='string');
+      chrome.storage.local.set({ snippets: valid.map(s=>({ abbr: s.abbr.trim(), text: s.text })) }, ()=>{
+        renderSnippets(valid);
+        showSnippetStatus(`Imported ${valid.length} snippet(s)`);
+      });
+    }catch(e){
+      showSnippetStatus('Import failed: ' + e.message);
+    }
+  };
+  reader.readAsText(file);
+}
+
+const PROFILE_TRIGGER_LABELS = { ctrlEnter:'Ctrl+Enter', doubleSpace:'Double-space', autoAfterPunctuation:'After punctuation', autoSuggest:'As-you-type' };
+
+function addProfileField(container, labelText, input){
+  const row = document.createElement('div');
+  row.className = 'row';
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  row.append(label, input);
+  container.appendChild(row);
+  return input;
+}
+
+function profileInput(type, value, placeholder, className){
+  const input = document.createElement(type==='textarea' ? 'textarea' : 'input');
+  if(type==='textarea') input.rows = 2; else input.type = type;
+  input.value = value ?? '';
+  input.placeholder = placeholder || '';
+  input.className = className;
+  return input;
+}
+
+function addProfileEditor(profile){
+  const p = profile || { name:'', hosts:[], triggers:{} };
+  const box = document.createElement('fieldset');
+  box.className = 'profile';
+  addProfileField(box, 'Name', profileInput('text', p.name, 'GitHub PR comment', 'profile-name'));
+  addProfileField(box, 'Hosts (globs, comma-separated)', profileInput('text', (p.hosts||[]).join(', '), 'github.com, *.slack.com', 'profile-hosts'));
+  addProfileField(box, 'URL pattern (regular expression)', profileInput('text', p.urlPattern, '/pull/\\d+', 'profile-url'));
+  addProfileField(box, 'Field selector', profileInput('text', p.selector, 'textarea[name="comment"]', 'profile-selector'));
+  addProfileField(box, 'Instructions for the model', profileInput('textarea', p.systemPrompt, 'This is a code review comment…', 'profile-prompt'));
+  addProfileField(box, 'Tone', profileInput('text', p.tone, 'friendly, concise', 'profile-tone'));
+  addProfileField(box, 'Min / max sentences', profileInput('number', p.minSentences, 'global', 'profile-min')).after(profileInput('number', p.maxSentences, 'global', 'profile-max'));
+  addProfileField(box, 'Temperature', profileInput('number', p.temperature, 'default', 'profile-temperature')).step = '0.1';
+  const triggers = document.createElement('div');
+  triggers.className = 'row';
+  for(const [key, text] of Object.entries(PROFILE_TRIGGER_LABELS)){
+    const select = document.createElement('select');
+    select.className = 'profile-trigger';
+    select.dataset.trigger = key;
+    for(const [value, label] of [['', `${text}: global`], ['on', `${text}: on`], ['off', `${text}: off`]]){
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    const current = p.triggers?.[key];
+    select.value = current === true ? 'on' : current === false ? 'off' : '';
+    triggers.appendChild(select);
+  }
+  box.appendChild(triggers);
+  const actions = document.createElement('div');
+  actions.className = 'row';
+  const up = document.createElement('button');
+  up.textContent = 'Move up';
+  up.onclick = ()=>{ if(box.previousElementSibling) box.parentNode.insertBefore(box, box.previousElementSibling); };
+  const remove = document.createElement('button');
+  remove.textContent = 'Remove';
+  remove.onclick = ()=>box.remove();
+  const problems = document.createElement('span');
+  problems.className = 'profile-problems small';
+  actions.append(up, remove, problems);
+  box.appendChild(actions);
+  box.addEventListener('input', ()=>{ problems.textContent = validateProfile(readProfile(box)).join('; '); });
+  getEl('profileList').appendChild(box);
+  problems.textContent = profile ? validateProfile(readProfile(box)).join('; ') : '';
+}
+
+function renderProfiles(profiles){
+  getEl('profileList').innerHTML='';
+  profiles.map(normalizeProfile).filter(Boolean).forEach(addProfileEditor);
+}
+
+function readProfile(box){
+  const value = (cls)=>box.querySelector('.'+cls).value;
+  const number = (cls)=>value(cls).trim()==='' ? undefined : Number(value(cls));
+  const triggers = {};
+  box.querySelectorAll('.profile-trigger').forEach(sel=>{ if(sel.value) triggers[sel.dataset.trigger] = sel.value==='on'; });
+  const raw = {
+    name: value('profile-name'),
+    hosts: value('profile-hosts').split(','),
+    urlPattern: value('profile-url'),
+    selector: value('profile-selector'),
+    systemPrompt: value('profile-prompt'),
+    tone: value('profile-tone'),
+    minSentences: number('profile-min'),
+    maxSentences: number('profile-max'),
+    temperature: number('profile-temperature'),
+    triggers
+  };
+  // normalizeProfile drops unnamed profiles; keep them here so validation can flag them
+  const profile = normalizeProfile({ ...raw, name: 'unnamed' });
+  profile.name = raw.name.trim();
+  return profile;
+}
+
+function readProfiles(){
+  return Array.from(document.querySelectorAll('#profileList fieldset.profile')).map(readProfile);
+}
+
+function showProfileStatus(text){
+  const status = getEl('profileStatus');
+  status.textContent = text;
+  setTimeout(()=>status.textContent='', 1500);
+}
+
+function exportProfiles(){
+  const payload = JSON.stringify(readProfiles(), null, 2);
+  const url = URL.createObjectURL(new Blob([payload], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'smart-autocomplete-profiles.json';
+  a.click();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+
+function importProfiles(file){
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    try{
+      const list = JSON.parse(reader.result);
+      if(!Array.isArray(list)) throw new Error('Expected an array of profiles');
+      const valid = list.map(normalizeProfile).filter(p=>p && !validateProfile(p).length);
+      chrome.storage.local.set({ profiles: valid }, ()=>{
+        renderProfiles(valid);
+        showProfileStatus(`Imported ${valid.length} profile(s)`);
+      });
+    }catch(e){
+      showProfileStatus('Import failed: ' + e.message);
+    }
+  };
+  reader.readAsText(file);
+}
+
+function showPhraseMemoryStatus(text){
+  const status = getEl('phraseMemoryStatus');
+  status.textContent = text;
+  setTimeout(()=>status.textContent='', 1500);
+}
+
+function renderPhraseMemory(){
+  chrome.storage.local.get(['phrase_memory'], (data)=>{
+    const ul = getEl('phraseMemoryList');
+    ul.innerHTML='';
+    const entries = (data?.phrase_memory?.entries || []).slice().sort((a,b)=>(b.count-a.count)||(b.ts-a.ts));
+    if(entries.length===0){
+      const li = document.createElement('li');
+      li.textContent = 'No remembered phrases';
+      ul.appendChild(li);
+      return;
+    }
+    for(const e of entries){
+      const li = document.createElement('li');
+      li.textContent = `${e.site} [${e.language}] ×${e.count}: ${e.text}`;
+      ul.appendChild(li);
+    }
+  });
+}
+
+function exportPhraseMemory(){
+  chrome.storage.local.get(['phrase_memory'], (data)=>{
+    const payload = JSON.stringify(data?.phrase_memory || { version: 1, entries: [] }, null, 2);
+    const url = URL.createObjectURL(new Blob([payload], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'smart-autocomplete-phrases.json';
+    a.click();
+    setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  });
+}
+
+function wipePhraseMemory(){
+  if(!confirm('Delete all remembered phrases?')) return;
+  chrome.storage.local.remove('phrase_memory', ()=>{
+    getEl('phraseMemoryList').innerHTML='';
+    showPhraseMemoryStatus('Wiped');
+  });
+}
+
+const TRIGGER_LABELS = { manual: 'Shortcut', ctrlEnter: 'Ctrl+Enter', doubleSpace: 'Double-space', punctuation: 'After punctuation', auto: 'As-you-type', contextMenu: 'Context menu', rewrite: 'Rewrite' };
+
+function formatRate(value){ return value===null ? '–' : Math.round(value*100) + '%'; }
+
+function renderMetricsTable(table, rows, by){
+  table.innerHTML='';
+  const head = table.insertRow();
+  [by==='site'?'Site':'Trigger','Requests','Shown','Accepted','Dismissed','Overwritten','Acceptance','Cache hits','Avg. first token'].forEach(text=>{
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  if(rows.length===0){
+    const cell = table.insertRow().insertCell();
+    cell.colSpan = 9;
+    cell.textContent = 'No data yet';
+    return;
+  }
+  for(const r of rows){
+    const tr = table.insertRow();
+    const name = by==='site' ? (r.site || '(unknown)') : (TRIGGER_LABELS[r.trigger] || r.trigger);
+    [name, r.requests, r.shown, r.accepted, r.dismissed, r.overwritten, formatRate(r.acceptanceRate), formatRate(r.cacheHitRate), r.avgTtftMs===null ? '–' : r.avgTtftMs + ' ms']
+      .forEach(value=>{ tr.insertCell().textContent = String(value); });
+  }
+}
+
+function renderMetrics(){
+  chrome.storage.local.get(['metrics'], (data)=>{
+    const rows = data?.metrics?.rows || [];
+    const [total] = summarizeMetrics(rows, null);
+    const since = data?.metrics?.since ? new Date(data.metrics.since).toLocaleDateString() : null;
+    getEl('metricsSummary').textContent = total
+      ? `Since ${since}: ${total.shown} shown, ${total.accepted} accepted (${formatRate(total.acceptanceRate)}), cache hit rate ${formatRate(total.cacheHitRate)}, average time to first token ${total.avgTtftMs===null ? '–' : total.avgTtftMs + ' ms'}.`
+      : 'Nothing recorded yet.';
+    renderMetricsTable(getEl('metricsBySite'), summarizeMetrics(rows, 'site'), 'site');
+    renderMetricsTable(getEl('metricsByTrigger'), summarizeMetrics(rows, 'trigger'), 'trigger');
+  });
+}
+
+function exportMetrics(){
+  chrome.storage.local.get(['metrics'], (data)=>{
+    const url = URL.createObjectURL(new Blob([metricsToCsv(data?.metrics?.rows || [])], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'smart-autocomplete-metrics.csv';
+    a.click();
+    setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  });
+}
+
+function resetMetrics(){
+  if(!confirm('Reset all usage statistics?')) return;
+  chrome.storage.local.remove('metrics', ()=>{
+    renderMetrics();
+    const status = getEl('metricsStatus');
+    status.textContent = 'Reset';
+    setTimeout(()=>status.textContent='', 1500);
+  });
+}
+
 document.addEventListener('DOMContentLoaded', ()=>{
   loadSettings();
+  renderMetrics();
   getEl('save').addEventListener('click', saveSettings);
   getEl('refreshSites').addEventListener('click', loadSettings);
+  getEl('testBackend').addEventListener('click', testBackend);
+  getEl('addSnippet').addEventListener('click', ()=>addSnippetRow());
+  getEl('addSiteKeyBinding').addEventListener('click', ()=>{ addSiteKeyBindingRow(); checkKeyBindings(); });
+  getEl('ctrlEnter').addEventListener('change', checkKeyBindings);
+  getEl('exportSnippets').addEventListener('click', exportSnippets);
+  getEl('importSnippets').addEventListener('click', ()=>getEl('importSnippetsFile').click());
+  getEl('importSnippetsFile').addEventListener('change', (e)=>{
+    const file = e.target.files && e.target.files[0];
+    if (file) importSnippets(file);
+    e.target.value = '';
+  });
+  getEl('addProfile').addEventListener('click', ()=>addProfileEditor());
+  getEl('exportProfiles').addEventListener('click', exportProfiles);
+  getEl('importProfiles').addEventListener('click', ()=>getEl('importProfilesFile').click());
+  getEl('importProfilesFile').addEventListener('change', (e)=>{
+    const file = e.target.files && e.target.files[0];
+    if (file) importProfiles(file);
+    e.target.value = '';
+  });
+  getEl('restoreProfiles').addEventListener('click', ()=>{
+    renderProfiles(DEFAULT_PROFILES);
+    showProfileStatus('Built-in profiles restored; Save to keep them');
+  });
+  getEl('viewPhraseMemory').addEventListener('click', renderPhraseMemory);
+  getEl('exportPhraseMemory').addEventListener('click', exportPhraseMemory);
+  getEl('wipePhraseMemory').addEventListener('click', wipePhraseMemory);
+  getEl('refreshMetrics').addEventListener('click', renderMetrics);
+  getEl('exportMetrics').addEventListener('click', exportMetrics);
+  getEl('resetMetrics').addEventListener('click', resetMetrics);
   const minEl = getEl('minSentences');
   const maxEl = getEl('maxSentences');
   if (minEl) {
@@ -0,0 +1,96 @@
+
+function getEl(id){return document.getElementById(id)}
+
+const TRIGGER_KEYS = ['ctrlEnter','doubleSpace','autoAfterPunctuation','autoSuggest'];
+const STATE_LABELS = {
+  ready: 'Ready',
+  degraded: 'Ready (limited)',
+  downloading: 'Downloading…',
+  downloadable: 'Needs download',
+  unavailable: 'Not available',
+  failed: 'Failed',
+  unknown: 'Not started'
+};
+const STATE_HINTS = {
+  downloadable: 'Trigger a completion in any text field to start the one-time download.',
+  failed: 'Retried automatically after a pause; triggering a completion retries right away.',
+  unavailable: 'Chrome Built-in AI is not available here. See chrome://on-device-internals, or use a local model server (Options → Model Backend).',
+  unknown: 'The model loads on the first completion.'
+};
+// What's lost without each helper API (state 'degraded')
+const DEGRADED_HINTS = {
+  Summarizer: 'Summarizer not available: the start of long fields is left out instead of summarized.',
+  LanguageDetector: 'LanguageDetector not available: completions assume English.'
+};
+
+let currentHost = null;
+
+function renderModelStatus(status){
+  const s = status || { state: 'unknown' };
+  const stateEl = getEl('modelState');
+  stateEl.dataset.state = s.state;
+  let label = STATE_LABELS[s.state] || s.state;
+  if (s.state === 'ready') label += s.backend === 'http' ? ' (local server)' : s.shared ? ' (shared session)' : '';
+  if (s.state === 'downloading' && s.progress != null) label = `Downloading… ${s.progress}%`;
+  stateEl.textContent = label;
+
+  const progress = getEl('downloadProgress');
+  progress.hidden = s.state !== 'downloading';
+  if (s.progress != null) progress.value = s.progress;
+  else progress.removeAttribute('value'); // indeterminate
+
+  let hint = STATE_HINTS[s.state] || '';
+  if (s.state === 'degraded') hint = (s.missing || []).map(api => DEGRADED_HINTS[api]).filter(Boolean).join(' ');
+  getEl('modelHint').textContent = hint;
+
+  const err = s.lastError;
+  getEl('lastErrorSection').hidden = !err;
+  if (err) {
+    getEl('lastError').textContent = err.message;
+    getEl('lastErrorTime').textContent = err.at ? `(${new Date(err.at).toLocaleTimeString()})` : '';
+  }
+}
+
+function loadPopup(){
+  chrome.storage.session.get(['model_status'], (data)=> renderModelStatus(data?.model_status));
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs)=>{
+    let host = null;
+    try { host = new URL(tabs?.[0]?.url || '').hostname || null; } catch(e) { /* not a web page */ }
+    currentHost = host;
+    getEl('siteHost').textContent = host || 'this page';
+    getEl('siteEnabled').disabled = !host;
+    chrome.storage.local.get(['settings','site_prefs'], (data)=>{
+      const s = data?.settings || {};
+      TRIGGER_KEYS.forEach(k=> getEl(k).checked = !!s[k]);
+      getEl('siteEnabled').checked = host ? (data?.site_prefs || {})[host] !== false : false;
+    });
+  });
+}
+
+// Uses the same site_prefs store as the in-page toggle shortcut
+function setSiteEnabled(enabled){
+  if (!currentHost) return;
+  chrome.storage.local.get(['site_prefs'], (data)=>{
+    const prefs = data?.site_prefs || {};
+    prefs[currentHost] = enabled;
+    chrome.storage.local.set({ site_prefs: prefs });
+  });
+}
+
+function setTrigger(key, enabled){
+  chrome.storage.local.get(['settings'], (data)=>{
+    const s = data?.settings || {};
+    s[key] = enabled;
+    chrome.storage.local.set({ settings: s });
+  });
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  loadPopup();
+  getEl('siteEnabled').addEventListener('change', (e)=> setSiteEnabled(e.target.checked));
+  TRIGGER_KEYS.forEach(k=> getEl(k).addEventListener('change', (e)=> setTrigger(k, e.target.checked)));
+  getEl('openOptions').addEventListener('click', ()=> chrome.runtime.openOptionsPage());
+  chrome.storage.onChanged.addListener((changes, area)=>{
+    if (area === 'session' && changes.model_status) renderModelStatus(changes.model_status.newValue);
+  });
+});
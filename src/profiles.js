@@ -0,0 +1,144 @@
+/**
+ * Local Smart Autocomplete - Completion Profiles
+ * Named presets (prompt instructions, tone, sentence limits, temperature, triggers)
+ * matched against the page and the focused field. Loaded before content.js and by
+ * the options page; stored as `profiles` in chrome.storage.local.
+ *
+ * Profile: {
+ *   name: 'GitHub PR comment',
+ *   hosts: ['github.com', '*.slack.com'],   // hostname globs
+ *   urlPattern: '/pull/\\d+',               // regular expression tested on the full URL
+ *   selector: 'textarea',                   // the field or one of its ancestors
+ *   systemPrompt, tone,
+ *   minSentences?, maxSentences?, temperature?,
+ *   triggers?: { ctrlEnter?, doubleSpace?, autoAfterPunctuation?, autoSuggest? }
+ * }
+ * Every criterion that is set must match, and a profile without criteria never matches.
+ * The first matching profile wins; unset fields fall back to the global settings.
+ */
+
+const PROFILE_TRIGGERS = ['ctrlEnter', 'doubleSpace', 'autoAfterPunctuation', 'autoSuggest'];
+
+const DEFAULT_PROFILES = [
+  {
+    name: 'GitHub PR comment',
+    hosts: ['github.com'],
+    urlPattern: '/pull/\\d+',
+    selector: 'textarea',
+    systemPrompt: 'This is a code review comment on a pull request. Be specific, constructive and technical; wrap code identifiers in backticks.',
+    tone: 'constructive, concise',
+    minSentences: 1,
+    maxSentences: 2,
+    temperature: 0.2
+  },
+  {
+    name: 'Gmail compose',
+    hosts: ['mail.google.com'],
+    selector: 'div[aria-label="Message Body"], [g_editable="true"]',
+    systemPrompt: 'This is an email being written. Keep a professional, courteous register and finish the current thought.',
+    tone: 'professional, polite',
+    minSentences: 1,
+    maxSentences: 3
+  },
+  {
+    name: 'Slack message',
+    hosts: ['*.slack.com'],
+    systemPrompt: 'This is a chat message to colleagues. Keep it short and conversational.',
+    tone: 'casual, brief',
+    minSentences: 1,
+    maxSentences: 1,
+    temperature: 0.4,
+    triggers: { doubleSpace: false }
+  },
+  {
+    name: 'Single-line search input',
+    selector: 'input[type="search"], input[role="searchbox"], input[role="combobox"], input[name="q"]',
+    systemPrompt: 'This is a search query. Complete it with a few likely keywords, not a sentence.',
+    tone: 'terse',
+    minSentences: 1,
+    maxSentences: 1,
+    temperature: 0.2,
+    triggers: { autoAfterPunctuation: false }
+  }
+];
+
+function globToRegExp(glob) {
+  const escaped = glob.trim().toLowerCase().replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp('^' + escaped + '$');
+}
+
+// Clean copy of a stored or imported profile, or null when it has no name
+function normalizeProfile(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const number = (value, min, max) => (typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : undefined);
+  const profile = {
+    name: raw.name.trim(),
+    hosts: (Array.isArray(raw.hosts) ? raw.hosts : []).map(text).filter(Boolean),
+    urlPattern: text(raw.urlPattern),
+    selector: text(raw.selector),
+    systemPrompt: text(raw.systemPrompt),
+    tone: text(raw.tone),
+    minSentences: number(raw.minSentences, 1, 3),
+    maxSentences: number(raw.maxSentences, 1, 6),
+    temperature: number(raw.temperature, 0, 2),
+    triggers: {}
+  };
+  if (profile.minSentences !== undefined) profile.minSentences = Math.round(profile.minSentences);
+  if (profile.maxSentences !== undefined) profile.maxSentences = Math.round(profile.maxSentences);
+  for (const trigger of PROFILE_TRIGGERS) {
+    if (typeof raw.triggers?.[trigger] === 'boolean') profile.triggers[trigger] = raw.triggers[trigger];
+  }
+  return profile;
+}
+
+// Human-readable problems that keep a profile from ever matching
+function validateProfile(profile) {
+  const problems = [];
+  if (!profile.name) problems.push('Name is required');
+  if (!profile.hosts.length && !profile.urlPattern && !profile.selector) problems.push('Add a host, URL pattern or field selector');
+  if (profile.urlPattern) {
+    try {
+      new RegExp(profile.urlPattern);
+    } catch (e) {
+      problems.push('Invalid URL pattern: ' + e.message);
+    }
+  }
+  if (profile.selector) {
+    try {
+      document.createDocumentFragment().querySelector(profile.selector);
+    } catch (e) {
+      problems.push('Invalid field selector');
+    }
+  }
+  if (profile.minSentences !== undefined && profile.maxSentences !== undefined && profile.minSentences > profile.maxSentences) {
+    problems.push('Minimum sentences exceed maximum');
+  }
+  return problems;
+}
+
+function profileMatches(profile, { url, hostname, element }) {
+  let criteria = 0;
+  try {
+    if (profile.hosts.length) {
+      criteria++;
+      const host = (hostname || '').toLowerCase();
+      if (!profile.hosts.some(glob => globToRegExp(glob).test(host))) return false;
+    }
+    if (profile.urlPattern) {
+      criteria++;
+      if (!new RegExp(profile.urlPattern).test(url || '')) return false;
+    }
+    if (profile.selector) {
+      criteria++;
+      if (!element || !element.closest(profile.selector)) return false;
+    }
+  } catch (e) {
+    return false; // invalid pattern or selector
+  }
+  return criteria > 0;
+}
+
+function findProfile(profiles, target) {
+  return profiles.find(profile => profileMatches(profile, target)) || null;
+}
@@ -0,0 +1,55 @@
+/**
+ * Local Smart Autocomplete - Keyboard Shortcuts
+ * Default bindings and matching of keydown events against binding strings. Loaded
+ * before content.js and options.js, which lists the defaults for editing.
+ */
+
+// Default key bindings, overridden by settings.keyBindings and then by
+// settings.siteKeyBindings[hostname]. Format: modifiers (Ctrl, Alt, Shift, Meta/Cmd)
+// joined with '+', then a letter, a digit or a KeyboardEvent.code such as 'Space'.
+const DEFAULT_KEY_BINDINGS = {
+  trigger: 'Ctrl+Shift+Space',
+  accept: 'Tab',
+  dismiss: 'Escape',
+  acceptWord: 'Ctrl+ArrowRight',
+  acceptSentence: 'Ctrl+Shift+ArrowRight',
+  nextSuggestion: 'Alt+BracketRight',
+  previousSuggestion: 'Alt+BracketLeft',
+  toggleSite: 'Ctrl+Shift+S',
+  toggleAutoSuggest: 'Alt+Shift+A',
+  undoAccept: 'Alt+Z',
+  rewrite: 'Alt+Shift+R'
+};
+
+function matchesShortcut(event, shortcut) {
+  // shortcut like 'Ctrl+Shift+S' or 'Meta+Alt+BracketRight'; 'Cmd' is an alias for Meta
+  if (!shortcut) return false;
+  const parts = shortcut.split('+');
+  const needCtrl = parts.includes('Ctrl');
+  const needShift = parts.includes('Shift');
+  const needAlt = parts.includes('Alt');
+  const needMeta = parts.includes('Meta') || parts.includes('Cmd');
+  const key = parts[parts.length - 1];
+  if (!!event.ctrlKey !== !!needCtrl) return false;
+  if (!!event.shiftKey !== !!needShift) return false;
+  if (!!event.altKey !== !!needAlt) return false;
+  if (!!event.metaKey !== !!needMeta) return false;
+  if (key.length === 1) {
+    // letter or digit
+    return event.code === (/\d/.test(key) ? 'Digit' + key : 'Key' + key.toUpperCase());
+  }
+  return event.code === key;
+}
+
+function isTypingKey(event) {
+  // Keys that represent actual typing (not navigation/modifier keys)
+  return !event.ctrlKey && 
+         !event.altKey && 
+         !event.metaKey && 
+         !['Tab', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 
+           'Home', 'End', 'PageUp', 'PageDown'].includes(event.code);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { DEFAULT_KEY_BINDINGS, matchesShortcut, isTypingKey };
+}
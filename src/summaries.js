@@ -0,0 +1,191 @@
+/**
+ * Local Smart Autocomplete - Document Summaries
+ * Summaries of the earlier parts of long fields, made ahead of time so a completion never
+ * waits on the Summarizer. The text before the caret is split into chunks that end at
+ * paragraph breaks; chunk summaries are cached per element by text hash and filled in
+ * while the user pauses, so an edit only re-summarizes the chunks it touched. The summary
+ * of a stretch of text is composed from its chunk summaries, with every full group of
+ * chunks condensed once more so long documents stay short. Loaded before content.js
+ * (after context-budget.js, whose hashes it uses).
+ */
+
+const SUMMARY_MIN_CHARS = 2000; // shorter text fits the prompt as is
+const SUMMARY_CHUNK_MIN_CHARS = 600;
+const SUMMARY_CHUNK_MAX_CHARS = 2400;
+const SUMMARY_GROUP_SIZE = 4; // chunk summaries condensed into one
+const SUMMARY_IDLE_DELAY_MS = 1000; // typing pause before summarizing
+
+// Paragraphs ({ start, end, paragraphEnd }); paragraphs over the chunk limit are split
+// after sentences, or at the limit when there are none
+function splitIntoUnits(text) {
+  const units = [];
+  const addPiece = (start, end, paragraphEnd) => units.push({ start, end, paragraphEnd });
+  const breaks = /\n\s*\n/g;
+  let start = 0;
+  while (start < text.length) {
+    const match = breaks.exec(text);
+    const end = match ? match.index + match[0].length : text.length;
+    let pieceStart = start;
+    while (end - pieceStart > SUMMARY_CHUNK_MAX_CHARS) {
+      const window = text.slice(pieceStart, pieceStart + SUMMARY_CHUNK_MAX_CHARS);
+      const sentenceEnds = [...window.matchAll(/[.!?]["')\]]?\s+/g)];
+      const last = sentenceEnds[sentenceEnds.length - 1];
+      const cut = last && last.index > 0 ? pieceStart + last.index + last[0].length : pieceStart + SUMMARY_CHUNK_MAX_CHARS;
+      addPiece(pieceStart, cut, false);
+      pieceStart = cut;
+    }
+    if (end > pieceStart) addPiece(pieceStart, end, !!match);
+    start = end;
+    if (!match) break;
+  }
+  return units;
+}
+
+// Chunks ({ start, end, text, open }) of at least SUMMARY_CHUNK_MIN_CHARS. Whether a
+// paragraph ends a chunk depends on its own content, so after an edit the chunks before it
+// stay the same and the ones after it line up again at the next boundary. The last chunk
+// is open: the user is still writing it.
+function splitIntoChunks(text) {
+  const chunks = [];
+  let start = 0;
+  for (const unit of splitIntoUnits(text)) {
+    const length = unit.end - start;
+    // High bits: the low ones barely depend on the text
+    const boundary = unit.paragraphEnd && ((hashCode(text.slice(unit.start, unit.end)) >>> 16) & 3) === 0;
+    if (length >= SUMMARY_CHUNK_MAX_CHARS || (length >= SUMMARY_CHUNK_MIN_CHARS && boundary)) {
+      chunks.push({ start, end: unit.end, text: text.slice(start, unit.end), open: false });
+      start = unit.end;
+    }
+  }
+  if (start < text.length) chunks.push({ start, end: text.length, text: text.slice(start), open: true });
+  return chunks;
+}
+
+// Where the text kept as is starts when text.slice(0, length) is to be summarized. The
+// open chunk is never summarized, so a cut inside it moves back to the chunk's start.
+function summaryCut(text, length) {
+  const chunks = splitIntoChunks(text);
+  const last = chunks[chunks.length - 1];
+  return last?.open && last.start < length ? last.start : length;
+}
+
+/**
+ * Summarizes chunks of long fields in idle time and composes cached summaries on demand.
+ * getSummarizer returns the current Summarizer (or its background facade), or null.
+ */
+class SummaryPipeline {
+  constructor(getSummarizer, { delayMs = SUMMARY_IDLE_DELAY_MS } = {}) {
+    this.getSummarizer = getSummarizer;
+    this.delayMs = delayMs;
+    this.caches = new WeakMap(); // element -> LRUCache of summaries by text hash
+    this.pending = null; // { element, text } still to be covered
+    this._timer = null;
+    this._running = false;
+  }
+  cacheFor(element) {
+    let cache = this.caches.get(element);
+    if (!cache) {
+      cache = new LRUCache(500);
+      this.caches.set(element, cache);
+    }
+    return cache;
+  }
+  // The text before the caret changed: summarize what's missing once the user pauses
+  schedule(element, text) {
+    if (!element || text.length < SUMMARY_MIN_CHARS || !this.getSummarizer()) return;
+    this.pending = { element, text };
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.whenIdle(() => this.run()), this.delayMs);
+  }
+  // Drop queued work (the model went away)
+  cancel() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.pending = null;
+  }
+  whenIdle(callback) {
+    if (typeof requestIdleCallback === 'function') requestIdleCallback(callback, { timeout: 5000 });
+    else setTimeout(callback, 0);
+  }
+  // Next summary the pending text needs: a closed chunk, then a full group to condense
+  nextJob(element, text) {
+    const cache = this.cacheFor(element);
+    const chunks = splitIntoChunks(text).filter(c => !c.open);
+    for (const chunk of chunks) {
+      const key = hashText(chunk.text);
+      if (cache.get(key) === null) return { key, text: chunk.text };
+    }
+    for (let i = 0; i + SUMMARY_GROUP_SIZE <= chunks.length; i += SUMMARY_GROUP_SIZE) {
+      const joined = chunks.slice(i, i + SUMMARY_GROUP_SIZE).map(c => cache.get(hashText(c.text))).join(' ');
+      const key = 'group:' + hashText(joined);
+      if (cache.get(key) === null) return { key, text: joined };
+    }
+    return null;
+  }
+  // One Summarizer call per idle period until the pending text is covered
+  async run() {
+    if (this._running) return;
+    this._running = true;
+    try {
+      while (this.pending) {
+        const { element, text } = this.pending;
+        const summarizer = this.getSummarizer();
+        const job = summarizer ? this.nextJob(element, text) : null;
+        if (!job) {
+          this.pending = null;
+          break;
+        }
+        try {
+          this.cacheFor(element).set(job.key, await summarizer.summarize(job.text));
+        } catch (e) {
+          console.log('[SmartAutocomplete] Background summarization failed:', e.message);
+          this.pending = null;
+          break;
+        }
+        await new Promise(resolve => this.whenIdle(resolve));
+      }
+    } finally {
+      this._running = false;
+    }
+  }
+  // Summary of text.slice(0, length) from the cache (length from summaryCut). Never waits:
+  // parts not summarized yet are left out and queued for the next pause.
+  summaryFor(element, text, length) {
+    if (!element || length <= 0) return '';
+    const cache = this.cacheFor(element);
+    const covered = splitIntoChunks(text).filter(c => c.start < length);
+    const parts = [];
+    let missing = false;
+    for (let i = 0; i < covered.length; i += SUMMARY_GROUP_SIZE) {
+      const group = covered.slice(i, i + SUMMARY_GROUP_SIZE);
+      const summaries = group.map(c => (c.open ? null : cache.get(hashText(c.text))));
+      if (group.length === SUMMARY_GROUP_SIZE && summaries.every(s => s !== null)) {
+        const condensed = cache.get('group:' + hashText(summaries.join(' ')));
+        if (condensed !== null) {
+          parts.push(condensed);
+          continue;
+        }
+        missing = true;
+      }
+      summaries.forEach(s => {
+        if (s === null) missing = true;
+        else parts.push(s);
+      });
+    }
+    if (missing) this.schedule(element, text);
+    return parts.join(' ');
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    SUMMARY_MIN_CHARS,
+    SUMMARY_CHUNK_MIN_CHARS,
+    SUMMARY_CHUNK_MAX_CHARS,
+    SUMMARY_GROUP_SIZE,
+    splitIntoUnits,
+    splitIntoChunks,
+    summaryCut,
+    SummaryPipeline
+  };
+}
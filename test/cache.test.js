@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LRUCache } = require('../src/cache');
+
+test('returns null for missing keys', () => {
+  assert.equal(new LRUCache(2).get('missing'), null);
+});
+
+test('evicts the least recently used entry', () => {
+  const cache = new LRUCache(2);
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+  assert.equal(cache.get('b'), null);
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('c'), 3);
+});
+
+test('overwriting a key refreshes it', () => {
+  const cache = new LRUCache(2);
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.set('a', 10);
+  cache.set('c', 3);
+  assert.equal(cache.get('a'), 10);
+  assert.equal(cache.get('b'), null);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  stripCursorArtifacts,
+  removeContextOverlap,
+  cleanCompletionText,
+  limitToSentenceRange,
+  removeSuffixOverlap,
+  joinInfill,
+  finishShortCompletion,
+  nextWordChunk,
+  nextSentenceChunk,
+  cleanRewriteText,
+  diffWords
+} = require('../src/completion-text');
+
+test('stripCursorArtifacts removes full and partial markers', () => {
+  assert.equal(stripCursorArtifacts('[CURSOR] went home'), 'went home');
+  assert.equal(stripCursorArtifacts('went [CURS'), 'went');
+  assert.equal(stripCursorArtifacts('went [CU'), 'went');
+  assert.equal(stripCursorArtifacts('the current cursor'), 'the current cursor');
+});
+
+test('removeContextOverlap drops what repeats the text before the caret', () => {
+  assert.equal(removeContextOverlap('Hello, my name is John and I', 'and I work here.'), 'work here.');
+  assert.equal(removeContextOverlap('Hello there', 'HELLO THERE, friend'), 'friend');
+  assert.equal(removeContextOverlap('Hello there', 'General Kenobi'), 'General Kenobi');
+});
+
+test('cleanCompletionText removes echoes of the current sentence and leading punctuation', () => {
+  const contextData = { beforeCursor: 'We met yesterday. The plan is' };
+  assert.equal(cleanCompletionText('The plan is to ship on Friday.', contextData), 'to ship on Friday.');
+  assert.equal(cleanCompletionText(', then we ship.', contextData), 'then we ship.');
+});
+
+test('cleanCompletionText trims infill text that runs into the suffix', () => {
+  const contextData = { beforeCursor: 'I went to', afterCursor: ' the store yesterday.', infill: true };
+  assert.equal(cleanCompletionText('downtown to the store yesterday.', contextData), 'downtown to ');
+});
+
+test('limitToSentenceRange keeps at most max sentences', () => {
+  assert.equal(limitToSentenceRange('One. Two! Three? Four.', 1, 2), 'One. Two!');
+  assert.equal(limitToSentenceRange('No terminator here', 1, 1), 'No terminator here');
+});
+
+test('removeSuffixOverlap drops trailing words duplicating the suffix', () => {
+  assert.equal(removeSuffixOverlap('on Thursday, then', 'then decide.'), 'on Thursday, ');
+});
+
+test('joinInfill fits spacing and punctuation to both sides', () => {
+  assert.equal(joinInfill('Thursday.', { beforeCursor: 'meet on', afterCursor: ', then decide.' }), ' Thursday');
+  assert.equal(joinInfill('big', { beforeCursor: 'the', afterCursor: 'house' }), ' big ');
+});
+
+test('finishShortCompletion completes the word being typed or adds the next words', () => {
+  assert.equal(finishShortCompletion('hello world', 'say hel', 3), 'lo world');
+  assert.equal(finishShortCompletion('hello world', 'say hello', 3), ' world');
+  assert.equal(finishShortCompletion('world peace now and forever.', 'hello ', 3), 'world peace now and');
+  assert.equal(finishShortCompletion('"world."', 'hello', 3), ' world');
+  assert.equal(finishShortCompletion('', 'hello', 3), '');
+  // Words that contain "cur" stay whole
+  assert.equal(finishShortCompletion('currency converter', 'cur', 3), 'rency converter');
+  assert.equal(finishShortCompletion('current events today', 'news cur', 3), 'rent events today');
+});
+
+test('nextWordChunk and nextSentenceChunk split partial accepts', () => {
+  assert.equal(nextWordChunk(' quick brown fox'), ' quick');
+  assert.equal(nextSentenceChunk(' It works. Then more.'), ' It works.');
+  assert.equal(nextSentenceChunk('no end'), 'no end');
+});
+
+test('cleanRewriteText unwraps quotes and keeps the selection whitespace', () => {
+  assert.equal(cleanRewriteText('"Hello there."', ' hello there '), ' Hello there. ');
+  assert.equal(cleanRewriteText('<<< Fixed >>>', 'fixd'), 'Fixed');
+});
+
+test('diffWords marks inserted and deleted words', () => {
+  const parts = diffWords('i has a apple', 'I have an apple');
+  assert.equal(parts.filter(p => p.type !== 'ins').map(p => p.text).join(''), 'i has a apple');
+  assert.equal(parts.filter(p => p.type !== 'del').map(p => p.text).join(''), 'I have an apple');
+  assert.ok(parts.some(p => p.type === 'same' && p.text.includes('apple')));
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// Content scripts share globals; the budgeter caches counts in an LRUCache
+global.LRUCache = require('../src/cache').LRUCache;
+const {
+  CONTEXT_MAX_TOKENS,
+  CONTEXT_OUTPUT_RESERVE_TOKENS,
+  DEFAULT_INPUT_QUOTA,
+  estimateTokens,
+  allocateBudget,
+  trimToTokens,
+  ContextBudgeter,
+  describeContextBudget
+} = require('../src/context-budget');
+
+// One token per word, like the fake LanguageModel session
+function wordModel(inputQuota, inputUsage = 0) {
+  const model = {
+    inputQuota,
+    inputUsage,
+    measured: [],
+    async measureInputUsage(text) {
+      model.measured.push(text);
+      return (text.match(/\S+/g) || []).length;
+    }
+  };
+  return model;
+}
+
+const words = (from, to) => Array.from({ length: to - from }, (_, i) => `w${from + i}`).join(' ');
+
+test('parts get their share first, then the rest by priority', () => {
+  assert.deepEqual(
+    allocateBudget({ before: 500, after: 500, summary: 0, page: 500, profile: 10 }, 100),
+    { before: 50 + 15, after: 20, summary: 0, page: 10, profile: 5 }
+  );
+});
+
+test('small parts are granted what they need', () => {
+  assert.deepEqual(
+    allocateBudget({ before: 30, after: 10, summary: 0, page: 5, profile: 5 }, 100),
+    { before: 30, after: 10, summary: 0, page: 5, profile: 5 }
+  );
+});
+
+test('trims at word boundaries, keeping the start or the end', () => {
+  const text = 'alpha beta gamma delta epsilon';
+  assert.equal(trimToTokens(text, 5, 2, 'start'), 'alpha beta');
+  assert.equal(trimToTokens(text, 5, 3, 'end'), 'delta epsilon');
+  assert.equal(trimToTokens(text, 5, 5, 'end'), text);
+  assert.equal(trimToTokens(text, 5, 0, 'start'), '');
+});
+
+test('budget is the quota less usage, template and response reserve, capped', async () => {
+  const budgeter = new ContextBudgeter();
+  const small = await budgeter.getBudget(wordModel(1000, 100), 'one two three');
+  assert.equal(small.budget, 1000 - 100 - 3 - CONTEXT_OUTPUT_RESERVE_TOKENS);
+  const large = await budgeter.getBudget(wordModel(100000), '');
+  assert.equal(large.budget, CONTEXT_MAX_TOKENS);
+});
+
+test('fits parts into the budget, keeping the text nearest the caret', async () => {
+  const budgeter = new ContextBudgeter();
+  const model = wordModel(CONTEXT_OUTPUT_RESERVE_TOKENS + 100);
+  const fit = await budgeter.fit(model, { before: words(0, 200), after: words(200, 300), profile: 'Writing context: email' });
+  assert.equal(fit.budget, 100);
+  assert.ok(fit.texts.before.endsWith('w199'));
+  assert.ok(fit.texts.after.startsWith('w200 '));
+  assert.equal(fit.texts.profile, 'Writing context: email');
+  assert.deepEqual(fit.parts.map(p => p.granted), [77, 20, 0, 0, 3]);
+  assert.ok(fit.parts.every(p => p.used <= p.granted));
+  assert.deepEqual(fit.parts.map(p => p.trimmed), [true, true, false, false, false]);
+});
+
+test('reserved parts hold their share for text that comes later', async () => {
+  const budgeter = new ContextBudgeter();
+  const model = wordModel(CONTEXT_OUTPUT_RESERVE_TOKENS + 100);
+  const open = await budgeter.fit(model, { before: words(0, 200) });
+  const held = await budgeter.fit(model, { before: words(0, 200) }, { reserve: { summary: Infinity } });
+  assert.equal(open.parts[0].granted, 100);
+  assert.equal(held.parts[0].granted, 100 - 15);
+  assert.ok(held.parts[0].used <= held.parts[0].granted);
+  assert.equal(held.texts.summary, '');
+});
+
+test('measurements are cached per text', async () => {
+  const budgeter = new ContextBudgeter();
+  const model = wordModel(6144);
+  await budgeter.fit(model, { before: 'some text', page: 'Page title' });
+  const count = model.measured.length;
+  await budgeter.fit(model, { before: 'some text', page: 'Page title' });
+  assert.equal(model.measured.length, count);
+});
+
+test('backends without measurement are estimated against the default quota', async () => {
+  const budgeter = new ContextBudgeter();
+  const fit = await budgeter.fit({}, { before: 'x'.repeat(400) });
+  assert.equal(fit.quota, DEFAULT_INPUT_QUOTA);
+  assert.equal(fit.parts[0].used, estimateTokens('x'.repeat(400)));
+  assert.match(describeContextBudget(fit), /^before 100\/100; budget \d+ of quota 4096/);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+function setup(html) {
+  const page = createPage({ html, ai: null });
+  const root = page.document.getElementById('editor');
+  page.window.getSelection().collapse(root.firstChild, root.firstChild.length);
+  const ContentEditableEditor = page.global('ContentEditableEditor');
+  return { page, root, editor: new ContentEditableEditor('prosemirror', root) };
+}
+
+test('a contenteditable editor reads the text around the caret', (t) => {
+  const { page, editor } = setup('<div id="editor" contenteditable="true">Hello</div>');
+  t.after(page.close);
+  assert.deepEqual({ ...editor.read() }, { before: 'Hello', after: '' });
+});
+
+test('a contenteditable editor reports whether the editor took the insert', (t) => {
+  const { page, editor } = setup('<div id="editor" contenteditable="true">Hello</div>');
+  t.after(page.close);
+  const inserted = [];
+  page.document.execCommand = (command, ui, text) => {
+    inserted.push(text);
+    return inserted.length === 1;
+  };
+  assert.equal(editor.insert(' world'), true);
+  assert.equal(editor.insert(' again'), false);
+  assert.deepEqual(inserted, [' world', ' again']);
+});
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELD_SESSION_LIMIT, FieldSessionManager } = require('../src/field-sessions');
+const { tick } = require('./helpers/fake-ai');
+
+// Minimal LanguageModel session: clones copy the history, append adds to it, one token per word
+function fakeSession(history = [], { inputQuota = 1000 } = {}) {
+  const listeners = {};
+  const session = {
+    history,
+    inputQuota,
+    inputUsage: history.join(' ').split(/\s+/).filter(Boolean).length,
+    destroyed: false,
+    clones: [],
+    addEventListener(type, fn) { (listeners[type] = listeners[type] || []).push(fn); },
+    emit(type) { (listeners[type] || []).forEach(fn => fn()); },
+    async clone() {
+      if (session.destroyed) throw Object.assign(new Error('destroyed'), { name: 'InvalidStateError' });
+      const clone = fakeSession([...session.history], { inputQuota });
+      session.clones.push(clone);
+      return clone;
+    },
+    async append(messages) {
+      messages.forEach(m => session.history.push(m.content));
+      session.inputUsage = session.history.join(' ').split(/\s+/).filter(Boolean).length;
+    },
+    async prompt(text) {
+      session.history.push(text);
+      return `seen: ${session.history.join(' | ')}`;
+    },
+    async *promptStreaming(text) {
+      session.history.push(text);
+      yield 'a';
+      yield 'b';
+    },
+    destroy() { session.destroyed = true; }
+  };
+  return session;
+}
+
+function createManager(options = {}) {
+  const bases = [];
+  const manager = new FieldSessionManager(async () => {
+    const base = fakeSession(['system']);
+    bases.push(base);
+    return base;
+  }, options);
+  return { manager, bases };
+}
+
+test('requests for a field run on throwaway clones of its primed session', async () => {
+  const { manager, bases } = createManager();
+  const field = { id: 'f1', context: 'Notes field' };
+  assert.equal(await manager.run(field, null, s => s.prompt('one')), 'seen: system | Notes field | one');
+  assert.equal(await manager.run(field, null, s => s.prompt('two')), 'seen: system | Notes field | two');
+  assert.equal(bases.length, 1);
+  assert.equal(bases[0].clones.length, 1);
+  const primed = bases[0].clones[0];
+  assert.equal(primed.clones.length, 2);
+  assert.ok(primed.clones.every(c => c.destroyed));
+});
+
+test('fields never share history', async () => {
+  const { manager } = createManager();
+  await manager.run({ id: 'f1', context: 'Notes field' }, null, s => s.prompt('private notes'));
+  const result = await manager.run({ id: 'f2', context: 'Search field' }, null, s => s.prompt('query'));
+  assert.equal(result, 'seen: system | Search field | query');
+  assert.equal(await manager.run(null, null, s => s.prompt('plain')), 'seen: system | plain');
+});
+
+test('streams from a clone', async () => {
+  const { manager } = createManager();
+  const chunks = [];
+  for await (const chunk of manager.stream({ id: 'f1', context: 'Notes' }, 'text', {})) chunks.push(chunk);
+  assert.deepEqual(chunks, ['a', 'b']);
+});
+
+test('a field is primed again when its context changes or after release', async () => {
+  const { manager, bases } = createManager();
+  await manager.run({ id: 'f1', context: 'Subject' }, null, s => s.prompt('x'));
+  await manager.run({ id: 'f1', context: 'Body' }, null, s => s.prompt('x'));
+  assert.equal(bases[0].clones.length, 2);
+  await tick();
+  assert.equal(bases[0].clones[0].destroyed, true);
+  manager.release('f1');
+  await tick();
+  assert.equal(bases[0].clones[1].destroyed, true);
+  assert.equal(manager.fields.size, 0);
+});
+
+test('keeps the most recently used fields', async () => {
+  const { manager } = createManager();
+  for (let i = 0; i <= FIELD_SESSION_LIMIT; i++) {
+    await manager.run({ id: `f${i}`, context: `field ${i}` }, null, s => s.prompt('x'));
+  }
+  assert.equal(manager.fields.size, FIELD_SESSION_LIMIT);
+  assert.ok(!manager.fields.has('f0'));
+  manager.releaseMatching(id => id.startsWith('f1'));
+  assert.ok(!manager.fields.has('f1'));
+});
+
+test('a context too large for the quota is served from the base, primed only once', async () => {
+  const { manager, bases } = createManager();
+  const context = 'word '.repeat(600);
+  assert.equal(await manager.run({ id: 'f1', context }, null, s => s.prompt('x')), 'seen: system | x');
+  assert.equal(await manager.run({ id: 'f1', context }, null, s => s.prompt('y')), 'seen: system | y');
+  const primed = bases[0].clones.filter(c => c.history.includes(context));
+  assert.equal(primed.length, 1);
+  assert.equal(primed[0].destroyed, true);
+  // A smaller context is primed again
+  assert.equal(await manager.run({ id: 'f1', context: 'Notes' }, null, s => s.prompt('z')), 'seen: system | Notes | z');
+});
+
+test('a failed request only throws; its clone is discarded', async () => {
+  const { manager, bases } = createManager();
+  const field = { id: 'f1', context: 'Notes' };
+  let clone = null;
+  await assert.rejects(manager.run(field, null, (session) => {
+    clone = session;
+    throw new Error('crashed');
+  }), /crashed/);
+  assert.equal(clone.destroyed, true);
+  assert.equal(bases[0].destroyed, false);
+  assert.equal(manager.fields.size, 1);
+  assert.equal(await manager.run(field, null, s => s.prompt('x')), 'seen: system | Notes | x');
+  assert.equal(bases.length, 1);
+});
+
+test('an overflowing field session is primed again; an overflowing request clone changes nothing', async () => {
+  const { manager, bases } = createManager();
+  const field = { id: 'f1', context: 'Notes' };
+  await manager.run(field, null, (session) => session.emit('contextoverflow'));
+  assert.equal(manager.fields.size, 1);
+  const primed = bases[0].clones[0];
+  primed.emit('contextoverflow');
+  assert.equal(manager.fields.size, 0);
+  assert.equal(bases[0].destroyed, false);
+  await tick();
+  assert.equal(primed.destroyed, true);
+});
+
+test('only a base that overflowed or failed to clone resets everything', async () => {
+  let resets = 0;
+  const { manager, bases } = createManager({ onReset: () => resets++ });
+  const field = { id: 'f1', context: 'Notes' };
+  await manager.run(field, null, s => s.prompt('x'));
+  bases[0].emit('contextoverflow');
+  assert.equal(bases[0].destroyed, true);
+  assert.equal(manager.fields.size, 0);
+  assert.equal(resets, 1);
+
+  await manager.run(null, null, s => s.prompt('x'));
+  bases[1].destroyed = true; // unloaded by the browser
+  await assert.rejects(manager.run(null, null, s => s.prompt('x')), { name: 'InvalidStateError' });
+  assert.equal(resets, 2);
+  assert.equal(await manager.run(null, null, s => s.prompt('y')), 'seen: system | y');
+  assert.equal(bases.length, 3);
+
+  // Any other failure of the base itself too, but not a cancelled clone
+  bases[2].clone = async () => { throw new Error('The model crashed.'); };
+  await assert.rejects(manager.run(null, null, s => s.prompt('x')), /crashed/);
+  assert.equal(resets, 3);
+  assert.equal(bases[2].destroyed, true);
+  await manager.run(null, null, s => s.prompt('x'));
+  bases[3].clone = async () => { throw Object.assign(new Error('cancelled'), { name: 'AbortError' }); };
+  await assert.rejects(manager.run(null, null, s => s.prompt('x')), { name: 'AbortError' });
+  assert.equal(resets, 3);
+});
+
+test('a field released while its request starts does not reset the base', async () => {
+  const { manager, bases } = createManager();
+  const field = { id: 'f1', context: 'Notes' };
+  await manager.run(field, null, s => s.prompt('x'));
+  bases[0].clones[0].destroyed = true;
+  await assert.rejects(manager.run(field, null, s => s.prompt('x')), { name: 'InvalidStateError' });
+  assert.equal(bases[0].destroyed, false);
+  assert.equal(manager.fields.size, 0);
+  assert.equal(await manager.run(field, null, s => s.prompt('y')), 'seen: system | Notes | y');
+});
+
+test('a field with its own temperature is primed on a session created with it', async (t) => {
+  const created = [];
+  const { manager, bases } = createManager({
+    createSession: async (sampling) => {
+      const session = fakeSession([`system at ${sampling.temperature}`]);
+      created.push(session);
+      return session;
+    }
+  });
+  const field = { id: 'f1', context: 'Notes', temperature: 0.9 };
+  assert.equal(await manager.run(field, null, s => s.prompt('x')), 'seen: system at 0.9 | Notes | x');
+  assert.equal(await manager.run(field, null, s => s.prompt('y')), 'seen: system at 0.9 | Notes | y');
+  assert.equal(created.length, 1);
+  // A new temperature primes again; without one the field clones the base
+  assert.equal(await manager.run({ ...field, temperature: 0.1 }, null, s => s.prompt('z')), 'seen: system at 0.1 | Notes | z');
+  await tick();
+  assert.equal(created[0].destroyed, true);
+  assert.equal(await manager.run({ id: 'f1', context: 'Notes' }, null, s => s.prompt('w')), 'seen: system | Notes | w');
+  assert.equal(bases.length, 1);
+});
+
+test('the facade reports the base quota and routes prompts to the current field', async () => {
+  let field = { id: 'f1', context: 'Notes' };
+  const { manager } = createManager({ base: fakeSession(['system'], { inputQuota: 500 }) });
+  const model = manager.languageModel(() => field);
+  assert.equal(model.inputQuota, 500);
+  assert.equal(await model.prompt('x'), 'seen: system | Notes | x');
+  field = null;
+  assert.equal(await model.prompt('y'), 'seen: system | y');
+  model.destroy();
+  assert.equal(model.inputQuota, undefined);
+});
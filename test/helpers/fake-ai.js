@@ -0,0 +1,145 @@
+/**
+ * Fake Chrome built-in AI globals (LanguageModel, Summarizer, LanguageDetector) for
+ * offline tests. Each fake is driven by a plain state object the test can change between
+ * steps: availability, download progress, streamed chunks, prompt responses and errors.
+ */
+
+function abortError(window) {
+  return new window.DOMException('The operation was aborted.', 'AbortError');
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * State: {
+ *   availability: 'unavailable' | 'downloadable' | 'downloading' | 'available',
+ *   downloadProgress: [0.5, 1],            // downloadprogress events fired by create()
+ *   chunks: ['Hello', ' world.'],          // promptStreaming output, one chunk per tick
+ *   response: string | object | (prompt) => string | object,   // prompt() output
+ *   error: Error,                          // thrown by prompt() and promptStreaming()
+ *   createError: Error,                    // thrown by create()
+ *   inputQuota: 6144                       // session quota; measureInputUsage counts words
+ * }
+ * Records: prompts (every prompt text), sessions (created sessions), clones (cloned ones).
+ * A session's history holds what was appended to it or its ancestors and the prompts it
+ * ran; usage counts the appended words. Sessions dispatch events (e.g. contextoverflow).
+ */
+function fakeLanguageModel(window, state) {
+  state.prompts = [];
+  state.sessions = [];
+  state.clones = [];
+  const check = (signal) => {
+    if (signal?.aborted) throw abortError(window);
+    if (state.error) throw state.error;
+  };
+  const countWords = (text) => (String(text).match(/\S+/g) || []).length;
+  const createSession = (options, parent = null) => {
+    const events = new window.EventTarget();
+    const session = {
+      options,
+      parent,
+      destroyed: false,
+      history: parent ? [...parent.history] : [],
+      inputQuota: state.inputQuota ?? 6144,
+      inputUsage: parent ? parent.inputUsage : 0,
+      addEventListener: events.addEventListener.bind(events),
+      dispatchEvent: events.dispatchEvent.bind(events),
+      async measureInputUsage(text) {
+        await tick();
+        return countWords(text);
+      },
+      async clone({ signal } = {}) {
+        await tick();
+        if (signal?.aborted) throw abortError(window);
+        if (session.destroyed) throw new window.DOMException('The session was destroyed.', 'InvalidStateError');
+        const clone = createSession(options, session);
+        state.clones.push(clone);
+        return clone;
+      },
+      async append(messages) {
+        await tick();
+        for (const message of messages) {
+          session.history.push(message.content);
+          session.inputUsage += countWords(message.content);
+        }
+      },
+      async prompt(text, { signal } = {}) {
+        state.prompts.push(text);
+        session.history.push(text);
+        await tick();
+        check(signal);
+        const response = typeof state.response === 'function' ? state.response(text) : state.response;
+        return typeof response === 'string' ? response : JSON.stringify(response ?? { accept: false, confidence: 0, sentences: [] });
+      },
+      promptStreaming(text, { signal } = {}) {
+        state.prompts.push(text);
+        session.history.push(text);
+        return (async function* stream() {
+          for (const chunk of state.chunks || []) {
+            await tick();
+            check(signal);
+            yield chunk;
+          }
+          await tick();
+          check(signal);
+        })();
+      },
+      destroy() {
+        session.destroyed = true;
+      }
+    };
+    return session;
+  };
+  return {
+    availability: async () => state.availability || 'available',
+    create: async (options = {}) => {
+      if (state.createError) throw state.createError;
+      if (typeof options.monitor === 'function') {
+        const monitor = new window.EventTarget();
+        options.monitor(monitor);
+        for (const loaded of state.downloadProgress || []) {
+          const event = new window.Event('downloadprogress');
+          Object.assign(event, { loaded, total: 1 });
+          monitor.dispatchEvent(event);
+        }
+      }
+      const session = createSession(options);
+      state.sessions.push(session);
+      return session;
+    }
+  };
+}
+
+// State: { availability, summary }
+function fakeSummarizer(state) {
+  state.inputs = [];
+  return {
+    availability: async () => state.availability || 'available',
+    create: async () => ({
+      summarize: async (text) => {
+        state.inputs.push(text);
+        return state.summary || 'Summary.';
+      }
+    })
+  };
+}
+
+// State: { availability, language, confidence }
+function fakeLanguageDetector(state) {
+  return {
+    availability: async () => state.availability || 'available',
+    create: async () => ({
+      detect: async () => [{ detectedLanguage: state.language || 'en', confidence: state.confidence ?? 0.9 }]
+    })
+  };
+}
+
+// Define the globals on a jsdom window; pass null for an API to leave it undefined
+function installFakeAI(window, { languageModel = {}, summarizer = {}, languageDetector = {} } = {}) {
+  if (languageModel) window.LanguageModel = fakeLanguageModel(window, languageModel);
+  if (summarizer) window.Summarizer = fakeSummarizer(summarizer);
+  if (languageDetector) window.LanguageDetector = fakeLanguageDetector(languageDetector);
+  return { languageModel, summarizer, languageDetector };
+}
+
+module.exports = { installFakeAI, tick };
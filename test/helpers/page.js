@@ -0,0 +1,89 @@
+/**
+ * A jsdom page with the extension's content scripts evaluated in manifest order, minus
+ * the src/main.js entry, so tests create SmartAutocomplete themselves. chrome.* is a small
+ * in-memory stub; the built-in AI globals come from fake-ai.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const manifest = require('../../manifest.json');
+const { installFakeAI, tick } = require('./fake-ai');
+
+const ROOT = path.join(__dirname, '..', '..');
+const CONTENT_SCRIPTS = manifest.content_scripts[0].js.filter(file => file !== 'src/main.js');
+
+function chromeStub(stored = {}) {
+  const data = { ...stored };
+  const pick = (keys) => {
+    const list = keys === null || keys === undefined ? Object.keys(data) : [].concat(keys);
+    return Object.fromEntries(list.filter(key => key in data).map(key => [key, data[key]]));
+  };
+  const later = (callback, value) => callback && setTimeout(() => callback(value), 0);
+  return {
+    data,
+    runtime: {
+      id: undefined, // no background worker: the content script uses its own sessions
+      lastError: undefined,
+      sendMessage: (message, callback) => later(callback, undefined),
+      onMessage: { addListener() {} }
+    },
+    storage: {
+      local: {
+        get: (keys, callback) => later(callback, pick(keys)),
+        set: (items, callback) => {
+          Object.assign(data, items);
+          later(callback);
+        },
+        remove: (keys, callback) => {
+          [].concat(keys).forEach(key => delete data[key]);
+          later(callback);
+        }
+      },
+      onChanged: { addListener() {} }
+    }
+  };
+}
+
+// Options: html (body markup), url, ai (installFakeAI options, or null for no AI APIs),
+// storage (initial chrome.storage.local contents)
+function createPage({ html = '', url = 'https://example.com/', ai = {}, storage = {} } = {}) {
+  // The content script logs a lot; only jsdom's own errors (script failures) are shown
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => console.error(error));
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  window.chrome = chromeStub(storage);
+  // jsdom has no editing commands; act like a browser that refuses them so the manual
+  // insertion fallbacks run
+  window.document.execCommand = () => false;
+  const fakes = ai ? installFakeAI(window, ai) : null;
+  // Run as classic scripts sharing one global scope, like the browser does (eval would
+  // keep each file's top-level classes and consts to itself)
+  const context = dom.getInternalVMContext();
+  for (const file of CONTENT_SCRIPTS) {
+    new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: path.join(ROOT, file) }).runInContext(context);
+  }
+  return {
+    window,
+    document: window.document,
+    ai: fakes,
+    chrome: window.chrome,
+    // Top-level classes and functions of the content scripts
+    global: (name) => new vm.Script(name).runInContext(context),
+    close: () => window.close()
+  };
+}
+
+// Let pending timers and promise chains run
+async function settle(rounds = 5) {
+  for (let i = 0; i < rounds; i++) await tick();
+}
+
+module.exports = { createPage, settle, ROOT, CONTENT_SCRIPTS };
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/page');
+
+function setup(html) {
+  const page = createPage({ html, ai: null });
+  return {
+    page,
+    insertIntoField: page.global('insertIntoField'),
+    insertIntoContentEditable: page.global('insertIntoContentEditable')
+  };
+}
+
+test('field insertion replaces the saved position and moves the caret', (t) => {
+  const { page, insertIntoField } = setup('<textarea id="field">Hello world</textarea>');
+  t.after(page.close);
+  const field = page.document.getElementById('field');
+  const result = insertIntoField(field, ' there', { saved: { start: 5, end: 5 } });
+  assert.equal(field.value, 'Hello there world');
+  assert.deepEqual({ ...result.position }, { start: 11, end: 11 });
+  assert.equal(field.selectionStart, 11);
+});
+
+test('field insertion reports the edit to page listeners', (t) => {
+  const { page, insertIntoField } = setup('<input id="field" type="text" value="Hi">');
+  t.after(page.close);
+  const field = page.document.getElementById('field');
+  const events = [];
+  field.addEventListener('input', (event) => events.push(`${event.type}:${event.inputType}:${event.data}`));
+  field.addEventListener('change', (event) => events.push(event.type));
+  insertIntoField(field, ' there', { saved: { start: 2, end: 2 } });
+  assert.deepEqual(events, ['input:insertText: there', 'change']);
+});
+
+test('field insertion avoids double spaces', (t) => {
+  const { page, insertIntoField } = setup('<textarea id="field">Hello </textarea>');
+  t.after(page.close);
+  const field = page.document.getElementById('field');
+  const result = insertIntoField(field, ' world', { saved: { start: 6, end: 6 } });
+  assert.equal(field.value, 'Hello world');
+  assert.equal(result.text, 'world');
+});
+
+test('snippet insertion removes the abbreviation and places the caret', (t) => {
+  const { page, insertIntoField } = setup('<textarea id="field">Thanks ;sig</textarea>');
+  t.after(page.close);
+  const field = page.document.getElementById('field');
+  const result = insertIntoField(field, 'Best,\nAda', { saved: { start: 11, end: 11 }, deleteBefore: 4, caretOffset: 5 });
+  assert.equal(field.value, 'Thanks Best,\nAda');
+  assert.equal(result.position.start, 12);
+});
+
+test('field insertion replaces a saved selection (rewrite)', (t) => {
+  const { page, insertIntoField } = setup('<textarea id="field">i has a apple today</textarea>');
+  t.after(page.close);
+  const field = page.document.getElementById('field');
+  insertIntoField(field, 'I have an apple', { saved: { start: 0, end: 13 } });
+  assert.equal(field.value, 'I have an apple today');
+});
+
+test('contenteditable insertion falls back to a text node and an input event', (t) => {
+  const { page, insertIntoContentEditable } = setup('<div id="editor" contenteditable="true">Hello</div>');
+  t.after(page.close);
+  const editor = page.document.getElementById('editor');
+  const inputs = [];
+  editor.addEventListener('input', (event) => inputs.push(event.data));
+  const saved = { container: editor.firstChild, offset: 5 };
+  const result = insertIntoContentEditable(editor, page.window.getSelection(), ' world', { saved });
+  assert.equal(editor.textContent, 'Hello world');
+  assert.equal(result.position.container.textContent, ' world');
+  assert.equal(result.position.offset, 6);
+  assert.deepEqual(inputs, [' world']);
+});
+
+test('contenteditable insertion replaces a saved selection', (t) => {
+  const { page, insertIntoContentEditable } = setup('<div id="editor" contenteditable="true">i has a apple</div>');
+  t.after(page.close);
+  const editor = page.document.getElementById('editor');
+  const text = editor.firstChild;
+  const saved = { container: text, offset: 0, endContainer: text, endOffset: 13 };
+  insertIntoContentEditable(editor, page.window.getSelection(), 'I have an apple', { saved });
+  assert.equal(editor.textContent, 'I have an apple');
+});
+
+test('contenteditable insertion without a position or deletable text fails', (t) => {
+  const { page, insertIntoContentEditable } = setup('<div id="editor" contenteditable="true"><b>x</b></div>');
+  t.after(page.close);
+  const editor = page.document.getElementById('editor');
+  const selection = page.window.getSelection();
+  selection.removeAllRanges();
+  assert.equal(insertIntoContentEditable(editor, selection, 'text'), null);
+  assert.equal(insertIntoContentEditable(editor, selection, 'text', { saved: { container: editor, offset: 1 }, deleteBefore: 2 }), null);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MODEL_STATES, ModelLifecycle } = require('../src/model-lifecycle');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('subscribers see every transition with the previous state', () => {
+  const lifecycle = new ModelLifecycle();
+  const seen = [];
+  const unsubscribe = lifecycle.subscribe((state, detail, previous) => seen.push([previous, state, detail]));
+  lifecycle.transition('downloading', { progress: 10 });
+  lifecycle.transition('degraded', { missing: ['Summarizer'] });
+  unsubscribe();
+  lifecycle.transition('ready');
+  assert.deepEqual(seen, [
+    ['unknown', 'downloading', { progress: 10 }],
+    ['downloading', 'degraded', { missing: ['Summarizer'] }]
+  ]);
+  assert.equal(lifecycle.usable, true);
+  assert.throws(() => lifecycle.transition('sleeping'), /Unknown model state/);
+  assert.ok(MODEL_STATES.includes('degraded'));
+});
+
+test('a failing listener does not stop the others', () => {
+  const lifecycle = new ModelLifecycle();
+  let called = false;
+  lifecycle.subscribe(() => { throw new Error('broken'); });
+  lifecycle.subscribe(() => { called = true; });
+  lifecycle.transition('ready');
+  assert.equal(called, true);
+});
+
+test('failures back off exponentially up to the limit, even with success in between', (t) => {
+  const lifecycle = new ModelLifecycle({ retryBaseMs: 1000, retryMaxMs: 5000 });
+  t.after(() => lifecycle.cancel());
+  const delays = [];
+  for (let i = 0; i < 5; i++) {
+    const before = Date.now();
+    lifecycle.fail('broken');
+    delays.push(Math.round((lifecycle.retryAt - before) / 1000) * 1000);
+  }
+  assert.deepEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+  assert.equal(lifecycle.state, 'failed');
+  assert.equal(lifecycle.detail.error, 'broken');
+  assert.equal(lifecycle.canRetry(), false);
+  assert.equal(lifecycle.canRetry(lifecycle.retryAt), true);
+  lifecycle.transition('ready');
+  assert.equal(lifecycle.canRetry(), true);
+  lifecycle.fail('broken again');
+  assert.equal(lifecycle.failures, 6);
+});
+
+test('failures far apart start the backoff over', (t) => {
+  const lifecycle = new ModelLifecycle({ retryBaseMs: 1000, failureWindowMs: 60000 });
+  t.after(() => lifecycle.cancel());
+  lifecycle.fail('broken');
+  lifecycle.fail('broken');
+  lifecycle.lastFailureAt -= 60001;
+  lifecycle.fail('broken');
+  assert.equal(lifecycle.failures, 1);
+});
+
+test('retries by itself a limited number of times', async () => {
+  const lifecycle = new ModelLifecycle({ retryBaseMs: 1, retryMaxMs: 1, maxAutoRetries: 2 });
+  let attempts = 0;
+  const retry = () => {
+    attempts++;
+    lifecycle.fail('still broken', retry);
+  };
+  lifecycle.fail('broken', retry);
+  await wait(50);
+  assert.equal(attempts, 2);
+  assert.equal(lifecycle.failures, 3);
+});
+
+test('polls while downloading and stops on the next state', async () => {
+  const lifecycle = new ModelLifecycle({ pollMs: 1 });
+  let checks = 0;
+  lifecycle.transition('downloading', { progress: null });
+  lifecycle.poll(async () => {
+    checks++;
+    if (checks === 3) lifecycle.transition('ready');
+  });
+  await wait(50);
+  assert.equal(checks, 3);
+  assert.equal(lifecycle.state, 'ready');
+});
+
+test('a transition cancels the pending retry; reset forgets failures', async () => {
+  const lifecycle = new ModelLifecycle({ retryBaseMs: 1 });
+  let retried = false;
+  lifecycle.fail('broken', () => { retried = true; });
+  lifecycle.transition('downloadable', { needsActivation: true });
+  await wait(20);
+  assert.equal(retried, false);
+  lifecycle.fail('broken');
+  lifecycle.reset();
+  assert.equal(lifecycle.state, 'unknown');
+  assert.equal(lifecycle.failures, 0);
+});
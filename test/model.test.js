@@ -0,0 +1,438 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, settle } = require('./helpers/page');
+const { tick } = require('./helpers/fake-ai');
+
+// A page with one field, a SmartAutocomplete and a log of every ghost text message
+async function setup({ html = '<textarea id="field">Yesterday I </textarea>', ai = {}, activation = true } = {}) {
+  const page = createPage({ html, ai });
+  if (activation) Object.defineProperty(page.window.navigator, 'userActivation', { value: { isActive: true } });
+  const SmartAutocomplete = page.global('SmartAutocomplete');
+  const autocomplete = new SmartAutocomplete();
+  await settle();
+  const field = page.document.getElementById('field');
+  field.focus();
+  if (typeof field.setSelectionRange === 'function') field.setSelectionRange(field.value.length, field.value.length);
+  const messages = [];
+  const showGhostText = autocomplete.showGhostText.bind(autocomplete);
+  autocomplete.showGhostText = (text, ...rest) => {
+    messages.push(text);
+    return showGhostText(text, ...rest);
+  };
+  return { page, autocomplete, field, messages, model: page.ai?.languageModel };
+}
+
+test('reports a device without the on-device model', async (t) => {
+  const { page, autocomplete, messages } = await setup({ ai: { languageModel: { availability: 'unavailable' } } });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.isModelReady, false);
+  assert.match(messages.join('\n'), /Built-in AI not supported/);
+});
+
+test('reports a browser without the LanguageModel API', async (t) => {
+  const { page, autocomplete, messages } = await setup({ ai: null });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.isModelReady, false);
+  assert.match(messages.join('\n'), /AI not available in this browser version/);
+});
+
+test('a download needs user activation', async (t) => {
+  const { page, autocomplete, messages, model } = await setup({
+    ai: { languageModel: { availability: 'downloadable' } },
+    activation: false
+  });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  assert.equal(model.sessions.length, 0);
+  assert.equal(autocomplete.isDownloading, false);
+  assert.match(messages.join('\n'), /Click to download AI model/);
+});
+
+test('shows download progress until the model is ready', async (t) => {
+  const { page, autocomplete, messages, model } = await setup({
+    ai: { languageModel: { availability: 'downloadable', downloadProgress: [0.25, 1], chunks: [] } }
+  });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  assert.equal(model.sessions.length, 1);
+  assert.equal(autocomplete.isModelReady, true);
+  assert.equal(autocomplete.isDownloading, false);
+  const progress = messages.filter(m => m.startsWith('Downloading AI model…'));
+  assert.deepEqual(progress.slice(-2), ['Downloading AI model… 25%', 'Downloading AI model… 100%']);
+});
+
+test('as-you-type never starts a download', async (t) => {
+  const { page, autocomplete, model } = await setup({ ai: { languageModel: { availability: 'downloadable' } } });
+  t.after(page.close);
+  autocomplete.autoSuggest.enabled = true;
+  await autocomplete.handleTrigger({ source: 'auto' });
+  assert.equal(model.sessions.length, 0);
+  assert.equal(autocomplete.isDownloading, false);
+});
+
+test('streams chunks into the suggestion and accepts it', async (t) => {
+  const { page, autocomplete, field, model } = await setup({
+    ai: { languageModel: { chunks: ['went', ' to the', ' store.'], response: { alternatives: ['stayed home.'] } } }
+  });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  assert.match(model.prompts[0], /Current text: "Yesterday I \[CURSOR\]"/);
+  assert.equal(autocomplete.currentCompletion, 'went to the store.');
+  assert.deepEqual([...autocomplete.candidates], ['went to the store.', 'stayed home.']);
+  autocomplete.acceptGhostText();
+  assert.equal(field.value, 'Yesterday I went to the store.');
+  assert.equal(autocomplete.ghostTextElement, null);
+});
+
+test('accepting with text selected inserts at the caret and keeps the selection', async (t) => {
+  const { page, autocomplete, field } = await setup({
+    html: '<textarea id="field">Yesterday I went out.</textarea>',
+    ai: { languageModel: { chunks: [' quickly'], response: { alternatives: [] } } }
+  });
+  t.after(page.close);
+  field.setSelectionRange(16, 21); // " out."
+  await autocomplete.handleTrigger();
+  autocomplete.acceptGhostText();
+  assert.match(field.value, /^Yesterday I went quickly ?out\.$/);
+});
+
+test('a contenteditable suggestion is shown outside the editable', async (t) => {
+  const { page, autocomplete, field } = await setup({
+    html: '<div id="field" contenteditable="true">Yesterday I </div>',
+    ai: { languageModel: { chunks: ['went', ' home.'], response: { alternatives: [] } } }
+  });
+  t.after(page.close);
+  Object.defineProperty(field, 'isContentEditable', { value: true }); // not in jsdom
+  field.blur();
+  field.focus();
+  page.window.getSelection().collapse(field.firstChild, field.firstChild.length);
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.currentCompletion, 'went home.');
+  assert.ok(autocomplete.isInlineOverlayGhost());
+  assert.equal(field.contains(autocomplete.ghostTextElement), false);
+  assert.equal(field.innerHTML, 'Yesterday I ');
+  autocomplete.acceptGhostText();
+  assert.equal(field.textContent, 'Yesterday I went home.');
+});
+
+test('serves a repeated request from the cache', async (t) => {
+  const { page, autocomplete, model } = await setup({ ai: { languageModel: { chunks: ['went home.'], response: { alternatives: [] } } } });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  const prompts = model.prompts.length;
+  autocomplete.clearGhostText();
+  autocomplete._lastTriggerTs = -Infinity;
+  await autocomplete.handleTrigger();
+  assert.equal(model.prompts.length, prompts);
+  assert.equal(autocomplete.currentCompletion, 'went home.');
+});
+
+test('dismissing aborts the stream without an error', async (t) => {
+  const { page, autocomplete, messages, model } = await setup({
+    ai: { languageModel: { chunks: ['went', ' to', ' the', ' store', ' and', ' back.'] } }
+  });
+  t.after(page.close);
+  const request = autocomplete.handleTrigger();
+  for (let i = 0; i < 50 && !model.prompts.length; i++) await tick();
+  await tick();
+  const signal = autocomplete.abortController.signal;
+  autocomplete.clearGhostText();
+  await request;
+  assert.equal(signal.aborted, true);
+  assert.equal(autocomplete.ghostTextElement, null);
+  assert.equal(autocomplete.currentCompletion, null);
+  assert.ok(!messages.some(m => /failed/i.test(m)));
+});
+
+test('drops the result when the text changed meanwhile', async (t) => {
+  const { page, autocomplete, field } = await setup({ ai: { languageModel: { chunks: ['went', ' home.'] } } });
+  t.after(page.close);
+  const request = autocomplete.handleTrigger();
+  await tick();
+  field.value = 'Yesterday we ';
+  field.setSelectionRange(field.value.length, field.value.length);
+  await request;
+  assert.equal(autocomplete.ghostTextElement, null);
+  assert.equal(autocomplete.currentCompletion, null);
+});
+
+test('shows model errors after the non-streaming fallback fails too', async (t) => {
+  const { page, autocomplete, messages, model } = await setup({ ai: { languageModel: { chunks: ['went'] } } });
+  t.after(page.close);
+  await autocomplete.initializeModel();
+  model.error = new Error('model crashed');
+  await autocomplete.handleTrigger();
+  assert.equal(messages[messages.length - 1], 'Completion failed: model crashed');
+});
+
+test('falls back to a structured prompt when streaming fails', async (t) => {
+  const { page, autocomplete } = await setup({ ai: { languageModel: { response: { accept: true, confidence: 0.9, sentences: ['went home.'] } } } });
+  t.after(page.close);
+  await autocomplete.initializeModel();
+  autocomplete.languageModel.promptStreaming = () => {
+    throw new Error('streaming unsupported');
+  };
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.currentCompletion, 'went home.');
+});
+
+test('a low-confidence suggestion counts as shown', async (t) => {
+  const { page, autocomplete } = await setup({ ai: { languageModel: { response: { accept: true, confidence: 0.1, sentences: ['went home.'] } } } });
+  t.after(page.close);
+  await autocomplete.initializeModel();
+  autocomplete.languageModel.promptStreaming = () => {
+    throw new Error('streaming unsupported');
+  };
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.currentCompletion, 'went home.');
+  assert.ok(autocomplete._shownSuggestion);
+});
+
+test('long context that fits the quota is sent whole', async (t) => {
+  const long = 'Lorem ipsum dolor sit amet. '.repeat(60);
+  const { page, autocomplete, model } = await setup({
+    html: `<textarea id="field">${long}</textarea>`,
+    ai: { languageModel: { chunks: ['Next.'] }, summarizer: {} }
+  });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  assert.equal(page.ai.summarizer.inputs.length, 0);
+  assert.ok(model.prompts[0].includes(long));
+  const before = autocomplete.lastContextBudget.parts.find(p => p.name === 'before');
+  assert.deepEqual({ used: before.used, trimmed: before.trimmed }, { used: 300, trimmed: false });
+});
+
+test('summarizes what exceeds the quota in idle time and continues in the detected language', async (t) => {
+  const paragraphs = Array.from({ length: 30 }, (_, p) => Array.from({ length: 10 }, (_, i) => `word${p * 10 + i}`).join(' '));
+  const text = paragraphs.join('\n\n') + ' ';
+  const { page, autocomplete, model } = await setup({
+    html: `<textarea id="field">${text}</textarea>`,
+    ai: {
+      languageModel: { chunks: ['Weiter.'], inputQuota: 600 },
+      summarizer: { summary: 'Placeholder text.' },
+      languageDetector: { language: 'de', confidence: 0.95 }
+    }
+  });
+  t.after(page.close);
+  // The first trigger doesn't wait for summaries; it queues them
+  await autocomplete.handleTrigger();
+  assert.equal(page.ai.summarizer.inputs.length, 0);
+  assert.ok(!model.prompts[0].includes('[Earlier context'));
+  assert.ok(autocomplete.summaries.pending);
+
+  await autocomplete.summaries.run();
+  const chunks = page.ai.summarizer.inputs;
+  assert.ok(chunks[0].startsWith('word0 word1 '));
+  autocomplete.clearGhostText();
+  autocomplete.cache.map.clear();
+  autocomplete._lastTriggerTs = -Infinity;
+  await autocomplete.handleTrigger();
+  const prompt = model.prompts[model.prompts.length - 1];
+  const kept = prompt.match(/\[Earlier context: Placeholder text\.\]\n\n([^"]*)\[CURSOR\]/)[1];
+  assert.ok(text.endsWith(kept));
+  // The summarized chunks reach the text sent as is
+  assert.ok(text.length - kept.length <= chunks.join('').length);
+  assert.equal(page.ai.summarizer.inputs.length, chunks.length);
+  assert.match(prompt, /Continue in de\./);
+  const budget = autocomplete.lastContextBudget;
+  assert.ok(budget.parts.every(p => p.used <= p.granted));
+  assert.ok(budget.parts.reduce((sum, p) => sum + p.used, 0) <= budget.budget);
+});
+
+test('single-line inputs get a short completion', async (t) => {
+  const { page, autocomplete, model } = await setup({
+    html: '<input id="field" type="search" placeholder="Search">',
+    ai: { languageModel: { response: 'install node' } }
+  });
+  t.after(page.close);
+  const field = page.document.getElementById('field');
+  field.value = 'how to ins';
+  field.setSelectionRange(10, 10);
+  await autocomplete.handleTrigger();
+  assert.match(model.prompts[0], /single-line search field labeled "Search"/);
+  assert.equal(autocomplete.currentCompletion, 'tall node');
+});
+
+test('each field runs on its own primed session, released on blur', async (t) => {
+  const { page, autocomplete, model } = await setup({
+    html: '<textarea id="field" aria-label="Notes">Yesterday I </textarea><textarea id="other" aria-label="Reply">Thanks for the </textarea>',
+    ai: { languageModel: { chunks: ['went home.'] } }
+  });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  const other = page.document.getElementById('other');
+  other.focus();
+  other.setSelectionRange(other.value.length, other.value.length);
+  autocomplete._lastTriggerTs = -Infinity;
+  await autocomplete.handleTrigger();
+
+  assert.equal(model.sessions.length, 1);
+  const ran = model.clones.filter(s => s.history.some(h => model.prompts.includes(h)));
+  const [notes, reply] = [ran.find(s => s.history.some(h => h.includes('Yesterday'))), ran.find(s => s.history.some(h => h.includes('Thanks for')))];
+  assert.match(notes.history[0], /field labeled "Notes"/);
+  assert.match(reply.history[0], /field labeled "Reply"/);
+  assert.ok(!reply.history.some(h => h.includes('Yesterday') || h.includes('"Notes"')));
+  // Request clones are thrown away; the blurred field's session too
+  assert.ok(ran.every(s => s.destroyed));
+  assert.equal(notes.parent.destroyed, true);
+  assert.equal(reply.parent.destroyed, false);
+  assert.equal(notes.parent.parent, model.sessions[0]);
+});
+
+test('a field whose profile sets a temperature gets a session created with it', async (t) => {
+  const { page, autocomplete, model } = await setup({ ai: { languageModel: { chunks: ['went home.'] } } });
+  t.after(page.close);
+  autocomplete.profiles = [{ name: 'Notes', hosts: [], urlPattern: '', selector: '#field', temperature: 0.9, triggers: {} }];
+  autocomplete._profileMemo = null;
+  await autocomplete.handleTrigger();
+  assert.equal(model.sessions.length, 2);
+  const [base, field] = model.sessions;
+  assert.equal(base.options.temperature, 0.3);
+  assert.equal(field.options.temperature, 0.9);
+  assert.equal(field.options.topK, base.options.topK);
+  assert.match(field.history.join('\n'), /multi-line text field/);
+  assert.ok(model.clones.length > 0);
+  assert.ok(model.clones.every(clone => clone.parent === field));
+});
+
+test('a context overflow re-creates the base session', async (t) => {
+  const { page, autocomplete, field, model } = await setup({ ai: { languageModel: { chunks: ['went home.'] } } });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  model.sessions[0].dispatchEvent(new page.window.Event('contextoverflow'));
+  assert.equal(model.sessions[0].destroyed, true);
+  autocomplete.clearGhostText();
+  field.value = 'Yesterday we ';
+  field.setSelectionRange(field.value.length, field.value.length);
+  autocomplete._lastTriggerTs = -Infinity;
+  await autocomplete.handleTrigger();
+  assert.equal(model.sessions.length, 2);
+  assert.equal(model.sessions[1].destroyed, false);
+});
+
+// Wait (a few hundred event loop turns at most) until check() holds
+async function until(check) {
+  for (let i = 0; i < 500 && !check(); i++) await tick();
+}
+
+test('the next click or key press starts a download that needed activation', async (t) => {
+  const { page, autocomplete, model } = await setup({
+    ai: { languageModel: { availability: 'downloadable', downloadProgress: [1] } },
+    activation: false
+  });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.lifecycle.state, 'downloadable');
+  // Without activation the interaction is ignored
+  page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'a' }));
+  await settle();
+  assert.equal(model.sessions.length, 0);
+
+  Object.defineProperty(page.window.navigator, 'userActivation', { value: { isActive: true } });
+  page.document.dispatchEvent(new page.window.Event('pointerdown'));
+  await until(() => autocomplete.isModelReady);
+  assert.equal(model.sessions.length, 1);
+  assert.equal(autocomplete.lifecycle.state, 'ready');
+});
+
+test('Complete here from the context menu leaves a download to the next interaction', async (t) => {
+  const { page, autocomplete, model, messages } = await setup({
+    ai: { languageModel: { availability: 'downloadable', downloadProgress: [1] } }
+  });
+  t.after(page.close);
+  autocomplete.handleContextMenu({ command: 'complete' });
+  await until(() => autocomplete.lifecycle.state === 'downloadable');
+  assert.equal(model.sessions.length, 0);
+  assert.match(messages.join('\n'), /starts on your next click or key press/);
+
+  page.document.dispatchEvent(new page.window.Event('pointerdown'));
+  await until(() => autocomplete.isModelReady);
+  assert.equal(model.sessions.length, 1);
+});
+
+test('polls a download started elsewhere until the model is on device', async (t) => {
+  const { page, autocomplete, messages, model } = await setup({ ai: { languageModel: { availability: 'downloading' } } });
+  t.after(page.close);
+  autocomplete.lifecycle.pollMs = 5;
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.isDownloading, true);
+  assert.match(messages.join('\n'), /AI model downloading/);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(autocomplete.isDownloading, true);
+  model.availability = 'available';
+  await until(() => autocomplete.isModelReady);
+  assert.equal(autocomplete.lifecycle.state, 'ready');
+  assert.equal(model.sessions.length, 1);
+});
+
+test('a model without Summarizer is degraded but usable', async (t) => {
+  const { page, autocomplete } = await setup({ ai: { languageModel: { chunks: ['went home.'] }, summarizer: null } });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.lifecycle.state, 'degraded');
+  assert.deepEqual([...autocomplete.lifecycle.detail.missing], ['Summarizer']);
+  assert.equal(autocomplete.currentCompletion, 'went home.');
+});
+
+test('retries a failed initialization with backoff', async (t) => {
+  const { page, autocomplete, model } = await setup({ ai: { languageModel: { createError: new Error('out of memory') } } });
+  t.after(page.close);
+  autocomplete.lifecycle.retryBaseMs = 150;
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.lifecycle.state, 'failed');
+  assert.match(autocomplete.lifecycle.detail.error, /out of memory/);
+  // As-you-type waits out the backoff
+  autocomplete.autoSuggest.enabled = true;
+  model.createError = null;
+  autocomplete._lastTriggerTs = -Infinity;
+  await autocomplete.handleTrigger({ source: 'auto' });
+  assert.equal(model.sessions.length, 0);
+  await until(() => autocomplete.isModelReady);
+  assert.equal(model.sessions.length, 1);
+});
+
+test('a destroyed session is loaded again', async (t) => {
+  const { page, autocomplete, field, model } = await setup({ ai: { languageModel: { chunks: ['went home.'] } } });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  autocomplete.lifecycle.retryBaseMs = 5;
+  autocomplete.clearGhostText();
+  model.error = new page.window.DOMException('The model was unloaded.', 'InvalidStateError');
+  field.value = 'Yesterday we ';
+  field.setSelectionRange(field.value.length, field.value.length);
+  autocomplete._lastTriggerTs = -Infinity;
+  await autocomplete.handleTrigger();
+  assert.equal(autocomplete.lifecycle.state, 'failed');
+  assert.equal(autocomplete.languageModel, null);
+  model.error = null;
+  await until(() => autocomplete.isModelReady);
+  assert.equal(model.sessions.filter(session => !session.destroyed).length, 1);
+});
+
+test('a session lost again after reloading backs off twice as long', async (t) => {
+  const { page, autocomplete, field, model } = await setup({ ai: { languageModel: { chunks: ['went home.'] } } });
+  t.after(page.close);
+  await autocomplete.handleTrigger();
+  autocomplete.lifecycle.retryBaseMs = 40;
+  const delays = [];
+  autocomplete.lifecycle.subscribe((state, detail) => {
+    if (state === 'failed') delays.push(detail.retryAt - Date.now());
+  });
+  for (const text of ['Yesterday we ', 'Yesterday they ']) {
+    model.error = new page.window.DOMException('The model was unloaded.', 'InvalidStateError');
+    autocomplete.clearGhostText();
+    field.value = text;
+    field.setSelectionRange(text.length, text.length);
+    autocomplete._lastTriggerTs = -Infinity;
+    await autocomplete.handleTrigger();
+    assert.equal(autocomplete.lifecycle.state, 'failed');
+    model.error = null;
+    await until(() => autocomplete.isModelReady);
+  }
+  assert.equal(autocomplete.lifecycle.failures, 2);
+  assert.equal(delays.length, 2);
+  assert.ok(delays[0] <= 40 && delays[0] > 30);
+  assert.ok(delays[1] <= 80 && delays[1] > 70);
+});
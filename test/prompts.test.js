@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  REWRITE_ACTIONS,
+  buildStreamingPrompt,
+  buildCompletionPrompt,
+  buildCompletionSchema,
+  buildAlternativesPrompt,
+  buildShortPrompt,
+  buildRewritePrompt,
+  deriveToneHints
+} = require('../src/prompts');
+
+const options = {
+  language: 'en',
+  limits: { min: 1, max: 2 },
+  tone: '',
+  profileInstructions: '',
+  phraseExamples: '',
+  candidateCount: 3
+};
+
+test('streaming prompt marks the caret and the sentence range', () => {
+  const prompt = buildStreamingPrompt({ beforeCursor: 'Dear team,', afterCursor: '' }, options);
+  assert.match(prompt, /Current text: "Dear team,\[CURSOR\]"/);
+  assert.match(prompt, /Output 1-2 sentences maximum/);
+  assert.match(prompt, /Continue in English\./);
+});
+
+test('prompts follow the detected language and the profile', () => {
+  const prompt = buildStreamingPrompt({ beforeCursor: 'Hola', afterCursor: '' }, {
+    ...options,
+    language: 'es',
+    tone: 'casual',
+    profileInstructions: '\n\nWriting context: Slack message'
+  });
+  assert.match(prompt, /Continue in es\./);
+  assert.match(prompt, /match style and tone \(casual\)/);
+  assert.match(prompt, /Writing context: Slack message/);
+});
+
+test('infill prompts ask only for the missing text', () => {
+  const contextData = { beforeCursor: 'We meet on', afterCursor: ' to plan.', infill: true };
+  assert.match(buildStreamingPrompt(contextData, options), /text infilling engine/);
+  assert.match(buildCompletionPrompt(contextData, options), /sentences: array with the fill-in as its only item/);
+  assert.match(buildAlternativesPrompt(contextData, 'Monday', 2, options), /Already suggested: "Monday"/);
+});
+
+test('completion prompt includes website context and tone hints', () => {
+  const prompt = buildCompletionPrompt({ beforeCursor: 'Thanks', afterCursor: '' }, {
+    ...options,
+    websiteContext: 'Page: Inbox',
+    toneHints: 'polite'
+  });
+  assert.match(prompt, /Website context: Page: Inbox/);
+  assert.match(prompt, /\(hints: polite\)/);
+  assert.match(prompt, /alternatives: array of up to 2/);
+});
+
+test('completion schema follows the sentence limits and candidate count', () => {
+  const schema = buildCompletionSchema({ min: 1, max: 3 }, 1);
+  assert.deepEqual(schema.properties.sentences, { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3 });
+  assert.equal(schema.properties.alternatives, undefined);
+  assert.equal(buildCompletionSchema({ min: 1, max: 1 }, 3).properties.alternatives.maxItems, 2);
+});
+
+test('short prompt names the field and the word limit', () => {
+  const prompt = buildShortPrompt({ beforeCursor: 'how to ins', afterCursor: '' }, { kind: 'search', label: 'Search docs', maxWords: 3 });
+  assert.match(prompt, /single-line search field labeled "Search docs"/);
+  assert.match(prompt, /at most 3 more words/);
+});
+
+test('rewrite prompt keeps the language unless translating', () => {
+  const original = ' i has a apple ';
+  assert.match(buildRewritePrompt(REWRITE_ACTIONS[0], original), /Keep the language of the original/);
+  const translate = { id: 'translate', instruction: 'translate it to German' };
+  assert.doesNotMatch(buildRewritePrompt(translate, original), /Keep the language/);
+  assert.match(buildRewritePrompt(translate, original), /<<<\ni has a apple\n>>>/);
+});
+
+test('deriveToneHints picks up simple cues', () => {
+  assert.equal(deriveToneHints('Could you please review our agenda'), 'polite, inclusive, concise');
+  assert.equal(deriveToneHints(''), '');
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_KEY_BINDINGS, matchesShortcut, isTypingKey } = require('../src/shortcuts');
+
+const key = (code, modifiers = {}) => ({ code, ctrlKey: false, shiftKey: false, altKey: false, metaKey: false, ...modifiers });
+
+test('matches modifiers exactly', () => {
+  assert.ok(matchesShortcut(key('Space', { ctrlKey: true, shiftKey: true }), DEFAULT_KEY_BINDINGS.trigger));
+  assert.ok(!matchesShortcut(key('Space', { ctrlKey: true }), DEFAULT_KEY_BINDINGS.trigger));
+  assert.ok(!matchesShortcut(key('Space', { ctrlKey: true, shiftKey: true, altKey: true }), DEFAULT_KEY_BINDINGS.trigger));
+});
+
+test('letters and digits match by physical key code', () => {
+  assert.ok(matchesShortcut(key('KeyS', { ctrlKey: true, shiftKey: true }), 'Ctrl+Shift+S'));
+  assert.ok(matchesShortcut(key('KeyZ', { altKey: true }), 'Alt+z'));
+  assert.ok(matchesShortcut(key('Digit1', { altKey: true }), 'Alt+1'));
+});
+
+test('Cmd is an alias for Meta', () => {
+  assert.ok(matchesShortcut(key('KeyK', { metaKey: true }), 'Cmd+K'));
+  assert.ok(matchesShortcut(key('KeyK', { metaKey: true }), 'Meta+K'));
+});
+
+test('empty bindings never match', () => {
+  assert.ok(!matchesShortcut(key('Tab'), ''));
+});
+
+test('isTypingKey ignores navigation keys and shortcuts', () => {
+  assert.ok(isTypingKey(key('KeyA')));
+  assert.ok(!isTypingKey(key('ArrowLeft')));
+  assert.ok(!isTypingKey(key('KeyA', { ctrlKey: true })));
+});
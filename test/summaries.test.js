@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// Content scripts share globals: the pipeline uses LRUCache and the context-budget hashes
+global.LRUCache = require('../src/cache').LRUCache;
+Object.assign(global, require('../src/context-budget'));
+const {
+  SUMMARY_CHUNK_MIN_CHARS,
+  SUMMARY_CHUNK_MAX_CHARS,
+  SUMMARY_GROUP_SIZE,
+  splitIntoUnits,
+  splitIntoChunks,
+  summaryCut,
+  SummaryPipeline
+} = require('../src/summaries');
+
+const paragraph = (p) => Array.from({ length: 2 + (p % 4) }, (_, s) => `Paragraph ${p} sentence ${s} is about topic ${(p * 7 + s) % 13}.`).join(' ');
+const documentText = (count, edit = null) =>
+  Array.from({ length: count }, (_, p) => (p === edit ? paragraph(p) + ' One more sentence.' : paragraph(p))).join('\n\n') + '\n\n';
+
+function fakeSummarizer() {
+  const summarizer = {
+    inputs: [],
+    async summarize(text) {
+      summarizer.inputs.push(text);
+      return `S${summarizer.inputs.length}.`;
+    }
+  };
+  return summarizer;
+}
+
+test('units are paragraphs, with long ones split after sentences', () => {
+  const long = 'A sentence that keeps going on. '.repeat(100);
+  const units = splitIntoUnits(`First.\n\n${long}\n\nLast`);
+  assert.equal(units[0].end, 'First.\n\n'.length);
+  assert.ok(units.every(u => u.end - u.start <= SUMMARY_CHUNK_MAX_CHARS));
+  assert.ok(units.slice(1, -2).every(u => !u.paragraphEnd));
+  assert.deepEqual(units.slice(-1)[0], { start: units.slice(-2)[0].end, end: 8 + long.length + 2 + 4, paragraphEnd: false });
+});
+
+test('chunks cover the text; all but the last are closed and big enough', () => {
+  const text = documentText(60);
+  const chunks = splitIntoChunks(text);
+  assert.equal(chunks.map(c => c.text).join(''), text);
+  assert.ok(chunks.length > 3);
+  chunks.slice(0, -1).forEach(c => {
+    assert.equal(c.open, false);
+    assert.ok(c.text.length >= SUMMARY_CHUNK_MIN_CHARS);
+    assert.ok(c.text.endsWith('\n\n'));
+  });
+});
+
+test('an edit changes only the chunks around it', () => {
+  const before = splitIntoChunks(documentText(60)).filter(c => !c.open).map(c => c.text);
+  const after = splitIntoChunks(documentText(60, 25)).filter(c => !c.open).map(c => c.text);
+  const changed = after.filter(text => !before.includes(text));
+  assert.ok(changed.length >= 1 && changed.length <= 2);
+  assert.equal(after[0], before[0]);
+  assert.equal(after[after.length - 1], before[before.length - 1]);
+});
+
+test('a queued run can be cancelled', () => {
+  const pipeline = new SummaryPipeline(() => fakeSummarizer(), { delayMs: 60000 });
+  pipeline.schedule({}, documentText(60));
+  assert.ok(pipeline.pending);
+  pipeline.cancel();
+  assert.equal(pipeline.pending, null);
+});
+
+test('short text is not summarized', () => {
+  const pipeline = new SummaryPipeline(() => fakeSummarizer());
+  pipeline.schedule({}, documentText(3));
+  assert.equal(pipeline.pending, null);
+});
+
+test('summarizes closed chunks once, then condenses full groups', async (t) => {
+  const summarizer = fakeSummarizer();
+  const pipeline = new SummaryPipeline(() => summarizer, { delayMs: 60000 });
+  t.after(() => pipeline.cancel());
+  const element = {};
+  const text = documentText(60);
+  const closed = splitIntoChunks(text).filter(c => !c.open);
+  pipeline.schedule(element, text);
+  await pipeline.run();
+  const groups = Math.floor(closed.length / SUMMARY_GROUP_SIZE);
+  assert.equal(summarizer.inputs.length, closed.length + groups);
+  assert.deepEqual(summarizer.inputs.slice(0, closed.length), closed.map(c => c.text));
+  assert.equal(pipeline.pending, null);
+
+  pipeline.schedule(element, documentText(60, 25));
+  await pipeline.run();
+  const resummarized = summarizer.inputs.slice(closed.length + groups).filter(t => !t.startsWith('S'));
+  assert.ok(resummarized.length >= 1 && resummarized.length <= 2);
+});
+
+test('composes the summary from the cache without waiting', async (t) => {
+  const summarizer = fakeSummarizer();
+  const pipeline = new SummaryPipeline(() => summarizer, { delayMs: 60000 });
+  t.after(() => pipeline.cancel());
+  const element = {};
+  const text = documentText(60);
+  const chunks = splitIntoChunks(text);
+
+  // Nothing cached yet: no summary, but the text is queued
+  assert.equal(pipeline.summaryFor(element, text, chunks[1].end), '');
+  assert.equal(summarizer.inputs.length, 0);
+  assert.equal(pipeline.pending.text, text);
+
+  await pipeline.run();
+  const count = summarizer.inputs.length;
+  // Two chunks: their own summaries
+  assert.equal(pipeline.summaryFor(element, text, chunks[1].end - 1), 'S1. S2.');
+  // A full group: its condensed summary
+  const groupEnd = chunks[SUMMARY_GROUP_SIZE - 1].end;
+  const condensed = pipeline.summaryFor(element, text, groupEnd);
+  assert.equal(condensed.split(' ').length, 1);
+  assert.equal(summarizer.inputs.length, count);
+  assert.equal(pipeline.pending, null);
+});
+
+test('a cut inside the open last chunk moves back to its start', async (t) => {
+  const summarizer = fakeSummarizer();
+  const pipeline = new SummaryPipeline(() => summarizer, { delayMs: 60000 });
+  t.after(() => pipeline.cancel());
+  const element = {};
+  const text = documentText(60) + 'Still writing this paragraph, which goes on';
+  const chunks = splitIntoChunks(text);
+  const open = chunks[chunks.length - 1];
+  assert.equal(open.open, true);
+  assert.equal(summaryCut(text, open.start + 20), open.start);
+  assert.equal(summaryCut(text, open.start), open.start);
+  assert.equal(summaryCut(text, chunks[1].end - 1), chunks[1].end - 1);
+
+  pipeline.summaryFor(element, text, open.start);
+  await pipeline.run();
+  // Every closed chunk is in the summary; the open one is all in the kept text
+  const summary = pipeline.summaryFor(element, text, summaryCut(text, open.start + 20));
+  assert.ok(summary.length > 0);
+  assert.ok(summarizer.inputs.every(input => !input.includes('Still writing')));
+  assert.equal(pipeline.pending, null);
+});
+
+test('nothing is queued without a Summarizer, and a failing one stops the run', async (t) => {
+  let summarizer = null;
+  const pipeline = new SummaryPipeline(() => summarizer, { delayMs: 60000 });
+  t.after(() => pipeline.cancel());
+  pipeline.schedule({}, documentText(60));
+  assert.equal(pipeline.pending, null);
+  summarizer = { summarize: async () => { throw new Error('busy'); } };
+  pipeline.schedule({}, documentText(60));
+  await pipeline.run();
+  assert.equal(pipeline.pending, null);
+});